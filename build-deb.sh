@@ -4,7 +4,11 @@ set -e
 APP_NAME="localthumbs-cli"
 VERSION="1.0.1"
 BUILD_DIR="packaging/debian"
-PACKAGE_NAME="${APP_NAME}_${VERSION}_all.deb"
+# better-sqlite3 is a native addon, built by npm for this host's CPU and Node ABI: the package is tied to both
+ARCH="$(dpkg --print-architecture)"
+NODE_MAJOR="$(node -p 'process.versions.node.split(".")[0]')"
+NODE_DEPENDS="nodejs (>= $NODE_MAJOR), nodejs (<< $((NODE_MAJOR + 1)))"
+PACKAGE_NAME="${APP_NAME}_${VERSION}_${ARCH}.deb"
 
 echo "Building $PACKAGE_NAME..."
 
@@ -17,6 +21,7 @@ rm -rf $BUILD_DIR/usr/lib/$APP_NAME/*
 # Copy app files
 echo "Copying application files..."
 cp index.js package.json package-lock.json $BUILD_DIR/usr/lib/$APP_NAME/
+cp -r lib $BUILD_DIR/usr/lib/$APP_NAME/
 
 # Update env example in package
 cp .env.example $BUILD_DIR/usr/share/$APP_NAME/$APP_NAME.env.example
@@ -27,6 +32,17 @@ cd $BUILD_DIR/usr/lib/$APP_NAME/
 npm install --production
 cd - > /dev/null
 
+# Architecture and Node version the addon was built for (replaces any nodejs dependency in the control file)
+echo "Targeting $ARCH with Node $NODE_MAJOR..."
+CONTROL="$BUILD_DIR/DEBIAN/control"
+sed -E -i -e "s/^Architecture:.*/Architecture: $ARCH/" \
+    -e "/^Depends:/ s/(, *)?nodejs( *\([^)]*\))?//g" -e "/^Depends:/ s/:[ ,]*/: /" -e "/^Depends: *$/d" "$CONTROL"
+if grep -q '^Depends:' "$CONTROL"; then
+    sed -i "s/^Depends: .*/&, $NODE_DEPENDS/" "$CONTROL"
+else
+    sed -i "/^Architecture:/a Depends: $NODE_DEPENDS" "$CONTROL"
+fi
+
 # Set permissions
 echo "Setting permissions..."
 chmod 755 $BUILD_DIR/DEBIAN/postinst
@@ -1,20 +1,8 @@
-import { createClient } from "webdav";
-import ffmpeg from "fluent-ffmpeg";
+// Command line interface: parses argv, runs one command of the library (lib/thumbnailer.js) and prints the summary.
+
 import fs from "fs";
-import path from "path";
-import crypto from "crypto";
-import axios from "axios";
-import FormData from "form-data";
 import "dotenv/config";
-import { pipeline } from "stream/promises";
-import os from "os";
-import http from "http";
-import https from "https";
-import { Transform } from "stream";
-import { exec, spawn } from "child_process";
-import { promisify } from "util";
-
-const execAsync = promisify(exec);
+import { createThumbnailer, createLogger, login, ConfigError, formatMB } from "./lib/thumbnailer.js";
 
 // Global Error Handlers for Stability
 process.on('uncaughtException', (err) => {
@@ -26,31 +14,50 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('CRITICAL: Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-const { 
-    NC_URL, NC_USER, NC_PASS, NC_SECRET, NC_STRICT_TLS,
-    TEMP_DIR, FOLDER_CACHE, THUMB_CACHE, FAIL_CACHE, 
-    SCAN_INTERVAL_DAYS, FFMPEG_THREADS, MAX_VIDEO_SIZE_MB,
-    IO_CONCURRENCY
-} = process.env;
-
-// Stats Tracking
-const stats = {
-    uploaded: 0,
-    failed: 0,
-    skippedSize: 0,
-    skippedSizeList: [], // Track paths of files too big
-    skippedExists: 0,
-    skippedCache: 0
-};
+// Value of "--name value" or "--name=value"
+function getArgValue(name) {
+    const idx = process.argv.findIndex(a => a === name || a.startsWith(`${name}=`));
+    if (idx === -1) return undefined;
+    const arg = process.argv[idx];
+    return arg.includes("=") ? arg.substring(arg.indexOf("=") + 1) : process.argv[idx + 1];
+}
 
-const STRICT_TLS = NC_STRICT_TLS === "true";
-const SECRET = NC_SECRET || "";
+const hasArg = (name) => process.argv.some(a => a === name || a.startsWith(`${name}=`));
 
 // Check for flags
 const FORCE_MODE = process.argv.includes("--force");
 const DELETE_ALL_MODE = process.argv.includes("--delete-all-thumbs");
+const WATCH_MODE = process.argv.includes("--watch") || process.argv.includes("--daemon");
+const RETRY_FAILED_MODE = process.argv.includes("--retry-failed");
+const LIST_FAILED_MODE = process.argv.includes("--list-failed");
+const VERIFY_MODE = process.argv.includes("--verify");
+const PRUNE_MODE = process.argv.includes("--prune");
+const REGENERATE_PATTERN = getArgValue("--regenerate");
+const DELETE_THUMBS_PATTERN = getArgValue("--delete-thumbs");
+const REGENERATE_MODE = hasArg("--regenerate");
+const DELETE_THUMBS_MODE = hasArg("--delete-thumbs");
+const SELECT_FLAG = REGENERATE_MODE ? "--regenerate" : DELETE_THUMBS_MODE ? "--delete-thumbs" : null; // Runs that only touch matching files
+const REPORT_MODE = hasArg("--report");
+const REPORT_FORMAT = getArgValue("--report");
+const REPORT_FILE = getArgValue("--report-file");
+const DRY_RUN_MODE = process.argv.includes("--dry-run") || REPORT_MODE;
+const TARGET_NAME = getArgValue("--target");
+const LOGIN_MODE = process.argv.includes("--login");
 const HELP_MODE = process.argv.includes("--help") || process.argv.includes("-h");
 
+// A --report without --report-file owns stdout, so log lines and summaries go to stderr instead
+const LOG_TO_STDERR = REPORT_MODE && REPORT_FILE === undefined;
+const print = LOG_TO_STDERR ? console.error : console.log;
+
+let log;
+try {
+    log = createLogger({ format: process.env.LOG_FORMAT, level: process.env.LOG_LEVEL, toStderr: LOG_TO_STDERR });
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+
 if (HELP_MODE) {
     console.log(`
 🖼️  Localthumbs CLI - Usage Guide
@@ -59,6 +66,23 @@ Commands:
   node index.js                      Run a standard scan and upload missing thumbnails.
   node index.js --force              Ignore all caches and re-process all files.
   node index.js --delete-all-thumbs  Remove all remote thumbnails and clear local caches.
+  node index.js --watch              Keep running and rescan periodically (alias: --daemon).
+  node index.js --retry-failed       Reprocess only previously failed files (ignores backoff).
+  node index.js --list-failed        List failed files with attempts and last error.
+  node index.js --verify             Walk everything and check cached files against the server: regenerate
+                                     missing thumbnails, drop entries of deleted files, report orphans.
+  node index.js --verify --prune     Also delete orphaned remote thumbnails (their source file is gone).
+  node index.js --regenerate <p>     Regenerate the thumbnails of the files matching a path or glob, e.g.
+                                     /Videos/2023 or "/Videos/**/*.mkv" (ignores the caches for those files only).
+  node index.js --delete-thumbs <p>  Delete the remote thumbnails of the files matching a path or glob and forget
+                                     them locally; the next scan creates them again unless they are excluded.
+  node index.js --path /Photos/2024  Only scan this subtree (combines with the other commands).
+  node index.js --target alice       Only use this target from TARGETS_FILE (combines with the other commands).
+  node index.js --dry-run            Show what a run would process or skip (and why) without changing anything.
+  node index.js --report=json|csv    Dry run that prints totals per folder and the estimated download volume
+                                     (to stdout, or to --report-file <path>).
+  node index.js --login [URL]        Log in through the browser (Nextcloud Login Flow v2) and store an app
+                                     password in NC_PASS_FILE or the keyring. URL defaults to NC_URL's server.
   node index.js --help               Show this help message.
 
 Environment Variables (set in .env):
@@ -66,529 +90,409 @@ Environment Variables (set in .env):
   NC_USER            Nextcloud Username
   NC_PASS            Nextcloud Password or App Token
   NC_SECRET          (Optional) API Secret matching the server configuration
+  NC_USER_FILE, NC_PASS_FILE, NC_SECRET_FILE
+                     Read the value from this file instead. Under systemd, LoadCredential=NC_PASS:/path works too.
+  SECRET_STORE       file | keyring - keyring looks up a missing password or secret with secret-tool (default: file)
   NC_STRICT_TLS      Set to "true" to enable strict SSL verification (default: false)
+  TARGETS_FILE       (Optional) JSON file listing several accounts/instances; replaces NC_URL/NC_USER/NC_PASS
   
   IO_CONCURRENCY     Simultaneous downloads/checks (default: 2)
-  FFMPEG_THREADS     Threads per FFmpeg process (default: Cores - 1)
-  MAX_VIDEO_SIZE_MB  Maximum file size for full download fallback (default: 3000)
+  FFMPEG_CONCURRENCY FFmpeg/ffprobe processes running at once, shared by all targets, or "auto" (default: 1)
+  FFMPEG_THREADS     Threads per FFmpeg process (default: Cores - 1, split between the parallel processes)
+  FFMPEG_MAX_CONCURRENCY Upper bound for FFMPEG_CONCURRENCY=auto (default: Cores / 2)
+  FFMPEG_MIN_FREE_MB "auto" backs off below this much free memory (default: 1024)
+  FFMPEG_TIMEOUT_SECONDS Kill a hung ffmpeg/ffprobe process after this long (default: 600, 0 = never)
+  MAX_VIDEO_SIZE_MB  Maximum file size for full downloads (video fallback, images, PDFs) (default: 3000)
   SCAN_INTERVAL_DAYS Days to skip rescanning unchanged folders (default: 7)
+  INCREMENTAL_MODE   off | auto | sync-collection | activity (default: off)
+                     Only fetch changes since the last run instead of walking the tree
+
+Filters:
+  INCLUDE_PATHS      Comma-separated globs; only matching files are processed (e.g. /Photos/**,*.mp4)
+  EXCLUDE_PATHS      Comma-separated globs; matching folders/files are skipped (e.g. **/.Trash*,/Archive)
+  FILTER_FILE        File with one glob per line: "+ glob" includes, "- glob" excludes, # comments
+  OPTOUT_MARKERS     Marker files that skip a folder and its subtree (default: .nothumbs,.nomedia)
+
+Failure Handling:
+  RETRY_BASE_MINUTES Backoff after the first transient failure, doubled per attempt (default: 60)
+  RETRY_MAX_ATTEMPTS Transient failures retried this often before giving up (default: 5)
+  FAIL_EXPIRY_DAYS   Forget any failure after this many days and try again (default: 30, 0 = never)
+
+Targets (TARGETS_FILE):
+  {"targets": [{"name": "alice", "url": "https://.../remote.php/dav/files/alice/", "user": "alice", "pass": "..."}]}
+  Optional per target: secret, passFile, secretFile, strictTls, stateDb, syncStateFile, include, exclude, filterFile, markers.
+  Unset keys fall back to the environment. Every target keeps its own state database
+  (default: localthumbs-<name>.db next to STATE_DB); all targets share one FFmpeg queue.
+
+Logging & Metrics:
+  LOG_FORMAT         text | json - one JSON object per line with target, file and job id (default: text)
+  LOG_LEVEL          debug | info | warn | error (default: info)
+  METRICS_PORT       Serve Prometheus metrics on this port at /metrics (default: off)
+  METRICS_HOST       Address for the metrics endpoint (default: 127.0.0.1)
+
+Transfer Limits (bytes, K/M/G/T suffixes allowed, shared by all targets):
+  BANDWIDTH_LIMIT    Maximum download rate per second, e.g. 2M (default: unlimited)
+  TRANSFER_BUDGET_RUN Stop after downloading this much in one run; the rest waits for the next run
+  TRANSFER_BUDGET_DAY Same per calendar day (default: unlimited)
+  TRANSFER_STATE_FILE Daily usage (default: transfer_usage.json next to STATE_DB)
+
+Watch Mode:
+  WATCH_INTERVAL_MINUTES  Minutes between scans (default: 60)
+  WATCH_CRON              Cron expression (5 fields), overrides WATCH_INTERVAL_MINUTES
+
+Frame Selection:
+  FRAME_STRATEGY     fixed | percent | smart (default: fixed)
+                     fixed = 50/40/30/20/10/5s ladder, percent = FRAME_PERCENT of the duration,
+                     smart = score several frames and skip black/flat ones
+  FRAME_PERCENT      Position for "percent" (default: 10)
+  SMART_FRAME_SAMPLES Candidate frames for "smart" (default: 6)
+
+Output:
+  THUMB_SIZES        Comma-separated widths, e.g. 256,512,1024,4096 (default: 1024)
+  THUMB_FORMATS      Comma-separated formats: jpg, webp, avif (default: jpg)
+  THUMB_QUALITY      Encoder quality 1-100 (default: 85)
+  THUMB_ANIMATION    off | webp | gif - short animated preview for videos (default: off)
+  ANIMATION_SECONDS  Length of the animated preview (default: 3)
+  ANIMATION_WIDTH    Width of the animated preview (default: 480)
+  CONTACT_SHEET      off | grid like 3x3 - mosaic of frames for videos (default: off)
+  VIDEO_METADATA     true = store duration, resolution, codecs, bitrate, rotation, creation time and
+                     GPS of videos and upload them if the server supports it (default: false)
+
+File Types:
+  THUMB_EXTENSIONS   Comma-separated extensions to process, optionally ".ext=generator"
+                     (default: .mp4,.m4v,.mov,.avi,.mkv,.wmv)
+  THUMB_MIME_TYPES   Comma-separated MIME types ("image/*" allowed) for files whose extension
+                     isn't listed, optionally "type/sub=generator" (default: none)
+  MAGICK_BIN         ImageMagick binary for the image generator (default: magick)
+  Generators: video (ffmpeg), raw (exiftool), image (ImageMagick), pdf (pdftoppm)
 
 Paths:
   TEMP_DIR           Directory for temporary processing (default: ./tmp_thumbs)
-  FOLDER_CACHE       Path to folder mtime cache (default: ./folder_cache.csv)
-  THUMB_CACHE        Path to successful thumb cache (default: ./thumb_cache.csv)
-  FAIL_CACHE         Path to failed file cache (default: ./fail_cache.csv)
+  SOURCE_CACHE_SIZE  Keep complete downloads in TEMP_DIR/source-cache up to this size, e.g. 20G (default: off)
+  STATE_DB           SQLite state database (default: ./localthumbs.db)
+  FOLDER_CACHE       Legacy folder cache CSV, imported into STATE_DB once (default: unset)
+  THUMB_CACHE        Legacy thumb cache CSV, imported into STATE_DB once (default: unset)
+  FAIL_CACHE         Legacy fail cache CSV, imported into STATE_DB once (default: unset)
+  SYNC_STATE_FILE    Path to incremental sync token (default: sync_token.json next to STATE_DB)
     `);
     process.exit(0);
 }
 
+// Needs no credentials, so it runs before the thumbnailer is created
+if (LOGIN_MODE) {
+    const server = getArgValue("--login");
+    try {
+        const result = await login(process.env, {
+            server: server?.startsWith("--") ? undefined : server,
+            onLoginUrl: (url) => console.log(`\n[i] Open this page in your browser and grant access:\n    ${url}\n\nWaiting for approval...`)
+        });
+        console.log(`\n[✔] Logged in as ${result.user}. App password stored ${result.file ? `in ${result.file}` : `in the keyring (${result.keyring})`}.`);
+        console.log("\nUse these settings (and remove NC_PASS):");
+        console.log(`NC_URL=${result.url}`);
+        console.log(`NC_USER=${result.user}`);
+        console.log(result.file ? `NC_PASS_FILE=${result.file}` : "SECRET_STORE=keyring");
+        process.exit(0);
+    } catch (e) {
+        console.error(`[✘] Login failed: ${e.message}`);
+        process.exit(1);
+    }
+}
+
 if (FORCE_MODE) {
-    console.log("!!! FORCE MODE ENABLED: Ignoring caches and re-processing all files !!!");
+    log.info("!!! FORCE MODE ENABLED: Ignoring caches and re-processing all files !!!");
 }
 
-if (DELETE_ALL_MODE) {
-    console.log("!!! DELETE ALL MODE ENABLED: Removing all remote thumbnails and clearing local caches !!!");
+if (REPORT_MODE && !["json", "csv"].includes(REPORT_FORMAT)) {
+    console.error(!REPORT_FORMAT || REPORT_FORMAT.startsWith("--")
+        ? "--report needs a format: --report=json or --report=csv."
+        : `Invalid --report "${REPORT_FORMAT}". Use --report=json or --report=csv.`);
+    process.exit(1);
 }
 
-const urlObj = new URL(NC_URL);
-const BASE_URL = `${urlObj.protocol}//${urlObj.host}`;
-const NC_ROOT = NC_URL.split('/remote.php')[0];
-const API_BASE = `${NC_ROOT}/index.php/apps/localthumbs/thumbnail`;
-const DAV_PATH_PREFIX = urlObj.pathname;
-const MAX_SIZE_BYTES = (parseInt(MAX_VIDEO_SIZE_MB) || 3000) * 1024 * 1024;
-
-console.log(`API Base: ${API_BASE}`);
-console.log(`DAV Prefix: ${DAV_PATH_PREFIX}`);
-console.log(`Max Video Size: ${(MAX_SIZE_BYTES / 1024 / 1024).toFixed(0)} MB`);
-console.log(`Strict TLS: ${STRICT_TLS}`);
-
-// Connection Agents with Keep-Alive
-const agentOptions = { 
-    keepAlive: true,
-    rejectUnauthorized: STRICT_TLS
-};
-const httpAgent = new http.Agent(agentOptions);
-const httpsAgent = new https.Agent(agentOptions);
-
-const dav = createClient(NC_URL, {
-    username: NC_USER, 
-    password: NC_PASS,
-    maxBodyLength: Infinity,
-    maxContentLength: Infinity,
-    httpAgent: httpAgent,
-    httpsAgent: httpsAgent
-});
+if (DRY_RUN_MODE && (WATCH_MODE || DELETE_ALL_MODE)) {
+    console.error("--dry-run/--report cannot be combined with --watch or --delete-all-thumbs.");
+    process.exit(1);
+}
 
-const VIDEO_EXTS = [".mp4", ".m4v", ".mov", ".avi", ".mkv", ".wmv"];
-const COOLDOWN_MS = (parseInt(SCAN_INTERVAL_DAYS) || 7) * 24 * 60 * 60 * 1000;
-
-// Axios for API
-const client = axios.create({
-    auth: { username: NC_USER, password: NC_PASS },
-    headers: { 
-        'OCS-APIRequest': 'true',
-        'X-Localthumbs-Secret': SECRET
-    },
-    maxBodyLength: Infinity,
-    maxContentLength: Infinity,
-    httpAgent: httpAgent,
-    httpsAgent: httpsAgent
-});
+if (DRY_RUN_MODE) {
+    log.info("--- DRY RUN: nothing is downloaded, uploaded or written to the caches ---");
+}
 
-// --- HELPER: CPU THREADS ---
-function getFfmpegThreads() {
-    const cpus = os.cpus().length;
-    let target = -1;
-    if (FFMPEG_THREADS !== undefined && FFMPEG_THREADS !== "") {
-        target = parseInt(FFMPEG_THREADS);
-    }
-    
-    if (target === -1) {
-        if (cpus <= 1) return 1;
-        return cpus - 1;
-    }
-    
-    return Math.max(1, target);
+if (WATCH_MODE && (DELETE_ALL_MODE || RETRY_FAILED_MODE)) {
+    log.error("--watch cannot be combined with --delete-all-thumbs or --retry-failed.");
+    process.exit(1);
 }
 
-const THREAD_COUNT = getFfmpegThreads();
-console.log(`FFmpeg configured to use ${THREAD_COUNT} threads.`);
+if (PRUNE_MODE && !VERIFY_MODE) {
+    console.error("--prune only works together with --verify.");
+    process.exit(1);
+}
 
-// --- HELPER: QUEUE ---
-class JobQueue {
-    constructor(concurrency = 1) {
-        this.concurrency = concurrency;
-        this.running = 0;
-        this.queue = [];
-    }
+if (VERIFY_MODE && (WATCH_MODE || DELETE_ALL_MODE || RETRY_FAILED_MODE || FORCE_MODE)) {
+    console.error("--verify cannot be combined with --watch, --delete-all-thumbs, --retry-failed or --force.");
+    process.exit(1);
+}
 
-    add(fn) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({ fn, resolve, reject });
-            this.process();
-        });
-    }
+if (SELECT_FLAG && (REGENERATE_MODE && DELETE_THUMBS_MODE || WATCH_MODE || DELETE_ALL_MODE || RETRY_FAILED_MODE || VERIFY_MODE || FORCE_MODE)) {
+    console.error("--regenerate and --delete-thumbs cannot be combined with each other, --watch, --delete-all-thumbs, --retry-failed, --verify or --force.");
+    process.exit(1);
+}
 
-    async process() {
-        if (this.running >= this.concurrency || this.queue.length === 0) return;
+const SELECT_PATTERN = REGENERATE_PATTERN ?? DELETE_THUMBS_PATTERN;
+if (SELECT_FLAG && (!SELECT_PATTERN || SELECT_PATTERN.startsWith("--") || hasArg("--path"))) {
+    console.error(`${SELECT_FLAG} needs a path or glob (and replaces --path).`);
+    process.exit(1);
+}
 
-        this.running++;
-        const { fn, resolve, reject } = this.queue.shift();
+if (VERIFY_MODE) {
+    log.info(`--- VERIFY: checking every cached file against the server${PRUNE_MODE ? ", pruning orphaned thumbnails" : ""} ---`);
+}
 
-        try {
-            const result = await fn();
-            resolve(result);
-        } catch (e) {
-            reject(e);
-        } finally {
-            this.running--;
-            this.process();
-        }
-    }
+if (DELETE_ALL_MODE) {
+    log.info("!!! DELETE ALL MODE ENABLED: Removing all remote thumbnails and clearing local caches !!!");
 }
-// IO_CONCURRENCY for downloads/webdav, FFMPEG_CONCURRENCY strictly 1
-const ioQueue = new JobQueue(parseInt(IO_CONCURRENCY) || 2);
-const ffmpegQueue = new JobQueue(1);
-
-const getHash = (str) => crypto.createHash("md5").update(str).digest("hex").substring(0, 8);
-const getRelativePath = (fullPath) => {
-    let rel = fullPath;
-    if (fullPath.startsWith(DAV_PATH_PREFIX)) {
-        rel = fullPath.substring(DAV_PATH_PREFIX.length);
-    }
-    if (!rel.startsWith("/")) rel = "/" + rel;
-    return rel;
+
+let thumbnailer;
+try {
+    thumbnailer = createThumbnailer({ ...process.env, target: TARGET_NAME, logger: log });
+} catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    log.error(e.message);
+    process.exit(1);
 }
 
-// --- CAPABILITIES ---
-let capabilities = { batch_exists: false };
-async function checkCapabilities() {
-    try {
-        const res = await client.get(`${NC_ROOT}/ocs/v2.php/cloud/capabilities?format=json`);
-        const data = res.data.ocs.data.capabilities.localthumbs;
-        if (data) {
-            capabilities = { ...capabilities, ...data.features };
-            console.log(`[i] Remote capabilities detected:`, capabilities);
-        }
-    } catch (e) {
-        console.warn(`[!] Failed to check capabilities: ${e.message}`);
+// Log lines only carry the target name when several accounts share the output
+const tagFor = (name) => thumbnailer.targets.length > 1 && !log.json ? `[${name}] ` : "";
+
+function printFailedList(name, rows) {
+    const tag = tagFor(name);
+    if (rows.length === 0) {
+        console.log(`${tag}[✔] No failed files.`);
+        return;
     }
+    const fmt = (ts) => ts ? new Date(ts).toLocaleString() : "-";
+    // ffmpeg errors carry the whole banner; the first and last lines are the useful part
+    const condense = (msg) => {
+        const lines = (msg || "").split("\n").map(l => l.trim()).filter(Boolean);
+        return lines.length > 2 ? `${lines[0]} … ${lines[lines.length - 1]}` : lines.join(" ");
+    };
+    for (const row of rows) {
+        const retry = row.next_retry_at ? `retry after ${fmt(row.next_retry_at)}` : "no automatic retry";
+        console.log(`${tag}${row.path}`);
+        console.log(`   ${row.error_kind || "unknown"}, ${row.attempts} attempt(s), last ${fmt(row.updated_at)}, ${retry}`);
+        console.log(`   ${row.generator ? `[${row.generator}] ` : ""}${condense(row.last_error) || "(no error recorded)"}`);
+    }
+    console.log(`\n${tag}${rows.length} failed file(s). Run with --retry-failed to reprocess them now.`);
 }
 
-// --- CACHE LOADERS ---
+// --- SUMMARY ---
 
-const folderCache = new Map(); // path -> { ts, mtime }
-if (fs.existsSync(FOLDER_CACHE)) {
-    fs.readFileSync(FOLDER_CACHE, "utf-8").split("\n").forEach(l => {
-        if (l.includes(',')) { 
-            const [p, ts, m] = l.split(","); 
-            folderCache.set(p, { ts: parseInt(ts), mtime: m || "" }); 
+// Adds up the numeric fields of per-target stats or plan totals
+function sumTotals(list) {
+    const total = {};
+    for (const item of list) {
+        for (const [key, value] of Object.entries(item)) {
+            if (typeof value === "number") total[key] = (total[key] ?? 0) + value;
         }
-    });
+    }
+    return total;
 }
 
-const thumbCache = new Set();
-if (fs.existsSync(THUMB_CACHE)) {
-    fs.readFileSync(THUMB_CACHE, "utf-8").split("\n").forEach(l => l.trim() && thumbCache.add(l.trim()));
-}
+function buildReport(format, result) {
+    const plans = Object.entries(result.plans);
+    if (format === "json") {
+        return JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            maxVideoSizeBytes: result.maxVideoSizeBytes,
+            targets: plans.map(([name, plan]) => ({ name, ...plan }))
+        }, null, 2) + "\n";
+    }
 
-const failCache = new Set();
-if (fs.existsSync(FAIL_CACHE)) {
-    fs.readFileSync(FAIL_CACHE, "utf-8").split("\n").forEach(l => l.trim() && failCache.add(l.trim()));
+    const csvField = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+    const columns = Object.keys(plans[0][1].totals);
+    const rows = [["target", "folder", ...columns]];
+    for (const [name, plan] of plans) {
+        for (const folder of plan.folders) {
+            rows.push([name, folder.folder, ...columns.map(c => folder[c])]);
+        }
+        // Folders always start with "/", so this row can't collide with one
+        rows.push([name, "TOTAL", ...columns.map(c => plan.totals[c])]);
+    }
+    return rows.map(row => row.map(csvField).join(",")).join("\n") + "\n";
 }
 
-// --- CACHE WRITERS ---
-
-function updateFolderCache(p, ts, mtime) {
-    folderCache.set(p, { ts, mtime });
-    fs.writeFileSync(FOLDER_CACHE, Array.from(folderCache.entries()).map(([k, v]) => `${k},${v.ts},${v.mtime}`).join("\n"));
+function printStats(stats) {
+    print(`✅ Uploaded: ${stats.uploaded}`);
+    print(`❌ Failed:   ${stats.failed}`);
+    print(`⏩ Skipped (Size):   ${stats.skippedSize}`);
+    stats.skippedSizeList?.forEach(item => print(`   - ${item}`));
+    print(`⏩ Skipped (Exists): ${stats.skippedExists}`);
+    print(`⏩ Skipped (Cache):  ${stats.skippedCache}`);
+    print(`⏩ Skipped (Failed): ${stats.skippedFailed}`);
+    if (stats.skippedHook > 0) print(`⏩ Skipped (Hook):   ${stats.skippedHook}`);
+    print(`♻️  Changed:  ${stats.changed}`);
+    print(`🔀 Moved:    ${stats.moved}`);
+    if (stats.deferred > 0) print(`⏸️  Deferred (Budget): ${stats.deferred}`);
+    printModeStats(stats);
 }
 
-function markDone(p) {
-    thumbCache.add(p);
-    fs.appendFileSync(THUMB_CACHE, p + "\n");
+function printPlan(totals, stats) {
+    print(`▶️  Would process: ${totals.process}`);
+    print(`📡 Stream only:   ${totals.streamOnly} (too large for the full-download fallback)`);
+    print(`🔀 Would move:    ${totals.move}`);
+    print(`⏩ Skipped (Size):   ${totals.skipSize}`);
+    stats?.skippedSizeList.forEach(item => print(`   - ${item}`));
+    print(`⏩ Skipped (Exists): ${totals.skipExists}`);
+    print(`⏩ Skipped (Cache):  ${totals.skipCache}`);
+    print(`⏩ Skipped (Failed): ${totals.skipFailed}`);
+    if (totals.skipHook > 0) print(`⏩ Skipped (Hook):   ${totals.skipHook}`);
+    print(`📦 Source size:   ${formatMB(totals.sourceBytes)}`);
+    print(`📥 Est. download: ${formatMB(totals.estimatedBytes)} (worst case)`);
+    printModeStats(stats);
 }
 
-function markFailed(p) {
-    failCache.add(p);
-    fs.appendFileSync(FAIL_CACHE, p + "\n");
+// Lines only the maintenance commands produce
+function printModeStats(stats) {
+    if (!stats) return;
+    if (VERIFY_MODE) {
+        print(`🩺 Stale entries:  ${stats.stale}`);
+        print(`👻 Orphaned:       ${stats.orphaned}${PRUNE_MODE ? ` (${stats.pruned} pruned)` : ""}`);
+    }
+    if (DELETE_THUMBS_MODE) print(`🗑️  ${DRY_RUN_MODE ? "Would delete" : "Deleted"}: ${stats.deleted}`);
 }
 
-// --- LOGIC ---
+function printDryRun(result) {
+    if (REPORT_FORMAT) {
+        const report = buildReport(REPORT_FORMAT, result);
+        if (REPORT_FILE) {
+            fs.writeFileSync(REPORT_FILE, report);
+            log.info(`[✔] Report written to ${REPORT_FILE}`);
+        } else {
+            process.stdout.write(report);
+        }
+    }
 
-async function checkRemoteExists(relPath) {
-    try {
-        const res = await client.get(`${API_BASE}/exists`, { params: { path: relPath } });
-        return res.data.exists;
-    } catch (e) {
-        console.error(`Error checking remote existence: ${e.message}`);
-        return false;
+    const plans = Object.entries(result.plans);
+    if (log.json) {
+        log.info("Dry run complete", { durationMs: result.durationMs, targets: Object.fromEntries(plans.map(([name, plan]) => [name, plan.totals])) });
+        return;
     }
-}
 
-async function checkBatchRemoteExists(relPaths) {
-    if (!capabilities.batch_exists) {
-        const results = {};
-        for (const p of relPaths) {
-            results[p] = await checkRemoteExists(p);
+    print("\n" + "=".repeat(30));
+    print(result.status === "interrupted" ? "🛑 Dry Run Interrupted" : "🧪 Dry Run Complete");
+    print("=".repeat(30));
+    if (plans.length === 1) {
+        printPlan(plans[0][1].totals, result.targets[plans[0][0]]);
+    } else {
+        for (const [name, plan] of plans) {
+            print(`👤 ${name}`);
+            printPlan(plan.totals, result.targets[name]);
+            print("-".repeat(30));
         }
-        return results;
-    }
-    try {
-        const res = await client.post(`${API_BASE}/batch_exists`, { paths: relPaths });
-        if (res.data.status === 'success') return res.data.results;
-        throw new Error(res.data.message);
-    } catch (e) {
-        console.error(`Error in batch check: ${e.message}`);
-        return {};
+        print("Σ Total");
+        printPlan(sumTotals(plans.map(([, plan]) => plan.totals)));
     }
+    print(`⏱️  Duration: ${(result.durationMs / 1000).toFixed(1)}s`);
+    print("=".repeat(30));
 }
 
-async function uploadThumbnail(relPath, thumbPath) {
-    const form = new FormData();
-    form.append('path', relPath);
-    form.append('thumbnail', fs.createReadStream(thumbPath));
-
-    const res = await client.post(`${API_BASE}/upload`, form, {
-        headers: { ...form.getHeaders() }
-    });
-    
-    if (res.data.status !== 'success') throw new Error(res.data.message);
-    return res.data;
-}
+const SCAN_TITLES = {
+    complete: ["Scan complete", "🏁 Scan Complete"],
+    paused: ["Scan paused", "⏸️  Scan Paused (Transfer Budget)"],
+    interrupted: ["Scan interrupted", "🛑 Scan Interrupted"]
+};
 
-async function processFolder(directory = "/") {
-    const relDir = getRelativePath(directory) || "/";
-    const now = Date.now();
-    
-    // Check cache with mtime
-    let dirStats;
-    try {
-        dirStats = await dav.stat(relDir);
-    } catch (e) {
-        console.error(`!! WebDAV Stat Error: ${relDir} - ${e.message}`);
-        return false;
+function printSummary(result) {
+    if (result.dryRun) {
+        printDryRun(result);
+        return;
+    }
+    const [jsonTitle, title] = SCAN_TITLES[result.status];
+    if (log.json) {
+        log.info(jsonTitle, { durationMs: result.durationMs, downloadedBytes: result.downloadedBytes, targets: result.targets });
+        return;
     }
 
-    if (!FORCE_MODE && folderCache.has(relDir)) {
-        const cached = folderCache.get(relDir);
-        if (cached.mtime === dirStats.lastmod && (now - cached.ts < COOLDOWN_MS)) {
-            // console.log(`[Skip] Folder unchanged: ${relDir}`);
-            return false;
+    const stats = Object.entries(result.targets);
+    print("\n" + "=".repeat(30));
+    print(title);
+    print("=".repeat(30));
+    if (stats.length === 1) {
+        printStats(stats[0][1]);
+    } else {
+        for (const [name, s] of stats) {
+            print(`👤 ${name}`);
+            printStats(s);
+            print("-".repeat(30));
         }
+        print("Σ Total");
+        printStats(sumTotals(stats.map(([, s]) => s)));
     }
-
-    console.log(`Scanning: ${relDir}`);
-    let items = [];
-    try {
-        items = await dav.getDirectoryContents(relDir);
-    } catch (e) {
-        console.error(`!! WebDAV Access Error: ${relDir} - ${e.message}`);
-        return false;
+    print(`⏱️  Duration: ${(result.durationMs / 1000).toFixed(1)}s`);
+    if (result.metered) {
+        const day = result.dailyUsage;
+        print(`📶 Downloaded: ${formatMB(result.downloadedBytes)}${day ? ` (today: ${formatMB(day.bytes)} of ${formatMB(day.budget)})` : ""}`);
     }
+    print("=".repeat(30));
+}
 
-    let mediaInTree = false;
-    const videosToProcess = [];
-
-    for (const item of items) {
-        if (item.type === "directory") {
-            if (await processFolder(item.filename)) mediaInTree = true;
-            continue;
-        }
+// --- MAIN ---
 
-        const ext = path.extname(item.filename).toLowerCase();
-        if (VIDEO_EXTS.includes(ext)) {
-            mediaInTree = true;
-            const relPath = getRelativePath(item.filename);
-
-            if (!FORCE_MODE) {
-                if (thumbCache.has(relPath)) {
-                    stats.skippedCache++;
-                    continue;
-                }
-                if (failCache.has(relPath)) {
-                    // console.log(`[Skip] Previously failed: ${relPath}`);
-                    stats.skippedCache++;
-                    continue;
-                }
-            }
-            videosToProcess.push(item);
-        }
-    }
+let stopping = false;
 
-    // Batch existence check
-    if (videosToProcess.length > 0) {
-        const pathsToCheck = videosToProcess.map(v => getRelativePath(v.filename));
-        const remoteResults = await checkBatchRemoteExists(pathsToCheck);
-
-        for (const item of videosToProcess) {
-            const relPath = getRelativePath(item.filename);
-            if (!FORCE_MODE && remoteResults[relPath]) {
-                console.log(`[Skip] Already exists on server: ${relPath}`);
-                markDone(relPath);
-                stats.skippedExists++;
-                continue;
-            }
-
-            // Add to IO Queue
-            ioQueue.add(async () => {
-                const ext = path.extname(item.filename).toLowerCase();
-                const fileHash = getHash(item.filename);
-                const localVid = path.join(TEMP_DIR, `v_${fileHash}${ext}`);
-                const localThumb = path.join(TEMP_DIR, `t_${fileHash}.jpg`);
-
-                // 3-Stage Process
-                const processVideo = async () => {
-                    // Stage 1: Remote Stream (Efficient)
-                    try {
-                        console.log(`[▶] Attempt 1: Remote Stream (Efficient) for ${relPath}`);
-                        
-                        const pathEncoded = item.filename.split('/').map(encodeURIComponent).join('/');
-                        const fileUrl = new URL(pathEncoded.startsWith('/') ? pathEncoded.substring(1) : pathEncoded, NC_URL).href;
-                        const authHeader = "Basic " + Buffer.from(`${NC_USER}:${NC_PASS}`).toString("base64");
-                        
-                        // Probe using spawn - Tuned for remote streams
-                        const args = [
-                            '-v', 'quiet',
-                            '-print_format', 'json',
-                            '-show_format',
-                            '-analyzeduration', '20M',
-                            '-probesize', '20M',
-                            '-tls_verify', STRICT_TLS ? '1' : '0',
-                            '-headers', `Authorization: ${authHeader}\r\n`,
-                            fileUrl
-                        ];
-
-                        const stdout = await ffmpegQueue.add(() => new Promise((resolve, reject) => {
-                            const proc = spawn('ffprobe', args);
-                            let out = '', err = '';
-                            proc.stdout.on('data', d => out += d);
-                            proc.stderr.on('data', d => err += d);
-                            proc.on('close', code => {
-                                if (code === 0) resolve(out);
-                                else reject(new Error(`Exit code ${code}.`));
-                            });
-                            proc.on('error', reject);
-                        }));
-                        
-                        const metadata = JSON.parse(stdout);
-                        if (!metadata.format) throw new Error("No format detected");
-                        const duration = parseFloat(metadata.format.duration || 0);
-
-                        // FFmpeg execution must be sequential
-                        await ffmpegQueue.add(() => generateThumbnail(fileUrl, duration, localThumb, true, authHeader));
-                        return; // Success!
-                    } catch (err) {
-                        console.log(`[!] Remote stream failed (${err.message}). Falling back...`);
-                    }
-
-                    // Stage 2: Partial Download (100MB)
-                    try {
-                        console.log(`[▶] Attempt 2: Partial Download (100MB) for ${relPath}`);
-                        const MAX_BYTES = 100 * 1024 * 1024;
-                        await attemptDownload(item.filename, localVid, { range: { start: 0, end: MAX_BYTES } });
-                        
-                        const duration = await ffmpegQueue.add(() => getLocalDuration(localVid)); 
-                        await ffmpegQueue.add(() => generateThumbnail(localVid, duration, localThumb, false));
-                        return; // Success!
-                    } catch (err) {
-                        console.log(`[!] Partial processing failed (${err.message}). Falling back...`);
-                    }
-
-                    // Stage 3: Full Download (Last Resort)
-                    if (item.size > MAX_SIZE_BYTES) {
-                        console.log(`[Skip] Too large for fallback (${(item.size / 1024 / 1024).toFixed(2)} MB): ${relPath}`);
-                        stats.skippedSize++;
-                        stats.skippedSizeList.push(`${relPath} (${(item.size / 1024 / 1024).toFixed(2)} MB)`);
-                        return;
-                    }
-
-                    console.log(`[▶] Attempt 3: Full Download for ${relPath}`);
-                    await attemptDownload(item.filename, localVid, {});
-                    const duration = await ffmpegQueue.add(() => getLocalDuration(localVid));
-                    await ffmpegQueue.add(() => generateThumbnail(localVid, duration, localThumb, false));
-                };
-
-                // --- Helpers for Process ---
-
-                const attemptDownload = async (src, dest, options, retries = 5) => {
-                    for (let i = 0; i < retries; i++) {
-                        try {
-                            const downloadStream = dav.createReadStream(src, options);
-                            let downloadedBytes = 0;
-                            let lastLogged = 0;
-                            const progressMonitor = new Transform({
-                                transform(chunk, encoding, callback) {
-                                    downloadedBytes += chunk.length;
-                                    if ((downloadedBytes - lastLogged) > (10 * 1024 * 1024)) {
-                                        // Silent progress to avoid log noise in parallel
-                                        lastLogged = downloadedBytes;
-                                    }
-                                    callback(null, chunk);
-                                }
-                            });
-                            await pipeline(downloadStream, progressMonitor, fs.createWriteStream(dest));
-                            return;
-                        } catch (e) {
-                            if (i === retries - 1) throw e;
-                            await new Promise(r => setTimeout(r, (i + 1) * 5000));
-                        }
-                    }
-                };
-
-                const getLocalDuration = (filePath) => {
-                    return new Promise((resolve, reject) => {
-                        ffmpeg.ffprobe(filePath, (err, metadata) => {
-                            if (err) return reject(new Error(`Probe failed: ${err.message}`));
-                            resolve(metadata.format.duration || 0);
-                        });
-                    });
-                };
-
-                const generateThumbnail = (input, duration, output, isRemote, authHeader = null) => {
-                    return new Promise((resolve, reject) => {
-                        let time = 0;
-                        if (duration > 50) time = 50;
-                        else if (duration > 40) time = 40;
-                        else if (duration > 30) time = 30;
-                        else if (duration > 20) time = 20;
-                        else if (duration > 10) time = 10;
-                        else if (duration > 5) time = 5;
-                        else time = Math.max(0, duration * 0.2);
-
-                        const cmd = ffmpeg(input);
-                        
-                        if (isRemote && authHeader) {
-                            cmd.inputOptions([
-                                '-headers', `Authorization: ${authHeader}\r\n`,
-                                '-tls_verify', STRICT_TLS ? '1' : '0',
-                                `-threads ${THREAD_COUNT}`
-                            ]);
-                        } else {
-                            cmd.inputOptions([`-threads ${THREAD_COUNT}`]);
-                        }
-
-                        cmd.outputOptions([`-threads ${THREAD_COUNT}`])
-                           .screenshots({
-                                timestamps: [time],
-                                filename: path.basename(output),
-                                folder: path.dirname(output),
-                                size: "1024x?"
-                            })
-                            .on("end", resolve)
-                            .on("error", reject);
-                    });
-                };
-
-                // --- Execution ---
-
-                try {
-                    await processVideo();
-
-                    if (fs.existsSync(localThumb)) {
-                            console.log(`[↑] Uploading thumb: ${relPath}`);
-                            await uploadThumbnail(relPath, localThumb);
-                            markDone(relPath);
-                            stats.uploaded++;
-                    }
-                } catch (err) {
-                    console.error(`[✘] Failed for ${relPath}: ${err.message}`);
-                    markFailed(relPath);
-                    stats.failed++;
-                } finally {
-                    if (fs.existsSync(localVid)) fs.unlinkSync(localVid);
-                    if (fs.existsSync(localThumb)) fs.unlinkSync(localThumb);
-                }
-            });
-        }
+async function shutdown(signal) {
+    if (stopping) {
+        log.info(`[!] ${signal} received again, exiting immediately.`);
+        process.exit(1);
     }
-
-    updateFolderCache(relDir, now, dirStats.lastmod);
-    return mediaInTree;
+    stopping = true;
+    log.info(`\n[i] ${signal} received.`);
+    await thumbnailer.stop();
 }
 
 (async () => {
-    if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
-    await checkCapabilities();
+    if (LIST_FAILED_MODE) {
+        for (const [name, rows] of Object.entries(thumbnailer.listFailed())) printFailedList(name, rows);
+        await thumbnailer.close();
+        process.exit(0);
+    }
 
     if (DELETE_ALL_MODE) {
-        try {
-            console.log("[▶] Requesting server-side thumbnail deletion...");
-            const res = await client.post(`${API_BASE}/deleteAll`);
-            console.log(`[✔] Server response: ${res.data.message}`);
-
-            console.log("[▶] Clearing local caches...");
-            if (fs.existsSync(FOLDER_CACHE)) fs.unlinkSync(FOLDER_CACHE);
-            if (fs.existsSync(THUMB_CACHE)) fs.unlinkSync(THUMB_CACHE);
-            if (fs.existsSync(FAIL_CACHE)) fs.unlinkSync(FAIL_CACHE);
-            console.log("[✔] Local caches cleared.");
-            
-            process.exit(0);
-        } catch (e) {
-            console.error(`[✘] Delete failed: ${e.message}`);
-            process.exit(1);
-        }
+        const ok = await thumbnailer.deleteAll();
+        await thumbnailer.close();
+        process.exit(ok ? 0 : 1);
     }
 
-    try { 
-        await processFolder("/"); 
-        // Wait for all queued jobs to finish
-        while (ioQueue.running > 0 || ioQueue.queue.length > 0 || ffmpegQueue.running > 0 || ffmpegQueue.queue.length > 0) {
-            await new Promise(r => setTimeout(r, 1000));
-        }
-        console.log("\n" + "=".repeat(30));
-        console.log("🏁 Scan Complete");
-        console.log("=".repeat(30));
-        console.log(`✅ Uploaded: ${stats.uploaded}`);
-        console.log(`❌ Failed:   ${stats.failed}`);
-        console.log(`⏩ Skipped (Size):   ${stats.skippedSize}`);
-        if (stats.skippedSizeList.length > 0) {
-            stats.skippedSizeList.forEach(item => console.log(`   - ${item}`));
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+    process.on("SIGINT", () => shutdown("SIGINT"));
+    thumbnailer.on("scanComplete", printSummary);
+    thumbnailer.serveMetrics();
+
+    // The same options for a single scan and for every scan of --watch
+    const scanOptions = {
+        force: FORCE_MODE,
+        dryRun: DRY_RUN_MODE,
+        retryFailed: RETRY_FAILED_MODE,
+        verify: VERIFY_MODE,
+        prune: PRUNE_MODE,
+        regenerate: REGENERATE_MODE ? REGENERATE_PATTERN : undefined,
+        deleteThumbs: DELETE_THUMBS_MODE ? DELETE_THUMBS_PATTERN : undefined,
+        path: getArgValue("--path")
+    };
+
+    // systemd and cron only see the exit code
+    let exitCode = 0;
+    try {
+        if (WATCH_MODE) {
+            await thumbnailer.watch(scanOptions);
+        } else {
+            await thumbnailer.scan(scanOptions);
         }
-        console.log(`⏩ Skipped (Exists): ${stats.skippedExists}`);
-        console.log(`⏩ Skipped (Cache):  ${stats.skippedCache}`);
-        console.log("=".repeat(30));
-    } catch (err) { 
-        console.error("Fatal:", err); 
+    } catch (err) {
+        if (err instanceof ConfigError) log.error(err.message);
+        else log.error("Fatal:", err);
+        exitCode = 1;
     }
-})();
\ No newline at end of file
+    await thumbnailer.close();
+    process.exit(exitCode);
+})();
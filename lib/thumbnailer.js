@@ -0,0 +1,3456 @@
+// Library API: createThumbnailer(config) builds the targets, caches and queues from an env-style config object
+// and returns an EventEmitter with scan(), scanFolder(), processFile(), deleteAll(), watch(), stop() and close().
+// login() runs Nextcloud Login Flow v2 and stores the app password it gets.
+// Nothing runs on import and nothing calls process.exit; index.js is the CLI on top of it.
+
+import { createClient, parseXML, prepareFileFromProps } from "webdav";
+import Database from "better-sqlite3";
+import { minimatch } from "minimatch";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import FormData from "form-data";
+import { pipeline } from "stream/promises";
+import os from "os";
+import http from "http";
+import https from "https";
+import { EventEmitter } from "events";
+import { Transform } from "stream";
+import { spawn, spawnSync } from "child_process";
+import { AsyncLocalStorage, AsyncResource } from "async_hooks";
+
+// Thrown for invalid configuration and options; the CLI prints the message and exits with 1
+export class ConfigError extends Error {}
+
+// --- LOGGING ---
+// LOG_FORMAT=text keeps the classic console lines. LOG_FORMAT=json writes one JSON object per line with
+// level, message and the current context (target, file and a per-file job id for correlation).
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const logContext = new AsyncLocalStorage();
+
+// `toStderr` moves everything to stderr, e.g. while stdout carries a report
+export function createLogger({ format, level, toStderr = false } = {}) {
+    const formatName = (format || "text").toLowerCase();
+    const levelName = (level || "info").toLowerCase();
+    if (!["text", "json"].includes(formatName)) {
+        throw new ConfigError(`Invalid LOG_FORMAT "${format}". Use text or json.`);
+    }
+    if (!LOG_LEVELS[levelName]) {
+        throw new ConfigError(`Invalid LOG_LEVEL "${level}". Use ${Object.keys(LOG_LEVELS).join(", ")}.`);
+    }
+
+    const json = formatName === "json";
+    const threshold = LOG_LEVELS[levelName];
+    const print = toStderr ? console.error : console.log;
+    const consoleMethods = { debug: print, info: print, warn: console.warn, error: console.error };
+
+    function writeLog(level, args) {
+        if (LOG_LEVELS[level] < threshold) return;
+        if (!json) {
+            consoleMethods[level](...args);
+            return;
+        }
+        // A trailing plain object becomes `data` instead of being stringified into the message
+        const last = args[args.length - 1];
+        const data = args.length > 1 && last?.constructor === Object ? args.pop() : undefined;
+        const msg = args.map(a => typeof a === "string" ? a : a instanceof Error ? a.stack : JSON.stringify(a)).join(" ").trim();
+        (toStderr ? process.stderr : process.stdout).write(JSON.stringify({ time: new Date().toISOString(), level, msg, ...logContext.getStore(), data }) + "\n");
+    }
+
+    return {
+        json,
+        debug: (...args) => writeLog("debug", args),
+        info: (...args) => writeLog("info", args),
+        warn: (...args) => writeLog("warn", args),
+        error: (...args) => writeLog("error", args)
+    };
+}
+
+// Runs fn with extra log context fields (merged into the surrounding context)
+export const withLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+// Wraps a queued per-file job so all of its log lines share a short correlation id
+const fileJob = (relPath, fn) => () => withLogContext({ file: relPath, job: crypto.randomUUID().slice(0, 8) }, fn);
+
+export const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// Stats Tracking, one per target (reset before every scan in watch mode)
+const createStats = () => ({
+    uploaded: 0,
+    failed: 0,
+    skippedSize: 0,
+    skippedSizeList: [], // Track paths of files too big
+    skippedExists: 0,
+    skippedCache: 0,
+    skippedFailed: 0, // Failed before and not due for a retry
+    skippedHook: 0, // Rejected by the shouldProcess hook
+    changed: 0, // Regenerated because the source changed
+    moved: 0, // Thumbnails re-pointed after a rename/move
+    deferred: 0, // Interrupted by a transfer budget, picked up on the next run
+    stale: 0, // verify: cache entries dropped (thumbnail missing on the server or source file gone)
+    orphaned: 0, // verify: remote thumbnails whose source file is gone
+    pruned: 0, // verify + prune: orphaned thumbnails deleted
+    deleted: 0 // deleteThumbs
+});
+
+// --- HELPER: QUEUE ---
+class JobQueue {
+    constructor(concurrency = 1) {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.queue = [];
+    }
+
+    add(fn, tag = null) {
+        return new Promise((resolve, reject) => {
+            // Bound to the caller's async context so log context follows the job, whoever starts it
+            this.queue.push({ fn: AsyncResource.bind(fn), resolve, reject, tag });
+            this.process();
+        });
+    }
+
+    async process() {
+        if (this.running >= this.concurrency || this.queue.length === 0) return;
+
+        this.running++;
+        const { fn, resolve, reject } = this.queue.shift();
+
+        try {
+            const result = await fn();
+            resolve(result);
+        } catch (e) {
+            reject(e);
+        } finally {
+            this.running--;
+            this.process();
+        }
+    }
+
+    // Raising the limit starts waiting jobs right away; lowering it lets running jobs finish
+    setConcurrency(concurrency) {
+        this.concurrency = concurrency;
+        for (let i = 0; i < concurrency; i++) this.process();
+    }
+
+    get idle() {
+        return this.running === 0 && this.queue.length === 0;
+    }
+
+    // Drops pending jobs and returns their tags; jobs already running are left to finish.
+    clear() {
+        const dropped = this.queue.map(job => job.tag);
+        this.queue = [];
+        return dropped;
+    }
+}
+
+const waitForIdle = async (...queues) => {
+    while (queues.some(q => !q.idle)) {
+        await new Promise(r => setTimeout(r, 1000));
+    }
+};
+
+// --- CREDENTIALS ---
+// NC_USER, NC_PASS and NC_SECRET can live in files instead of the environment: NAME_FILE names the file, and under
+// systemd `LoadCredential=NAME:/path` provides it as $CREDENTIALS_DIRECTORY/NAME. With SECRET_STORE=keyring a missing
+// password or secret is looked up in the desktop keyring through libsecret's secret-tool, keyed by user and host.
+
+const KEYRING_SERVICE = "localthumbs-cli";
+// The API secret has a service of its own: a lookup matches every entry that has the given attributes
+const KEYRING_SECRET_SERVICE = "localthumbs-cli-secret";
+
+function readSecretFile(file, what) {
+    try {
+        return fs.readFileSync(file, "utf-8").replace(/\r?\n$/, "");
+    } catch (e) {
+        throw new ConfigError(`Cannot read ${what} from ${file}: ${e.message}`);
+    }
+}
+
+// First of: the setting itself, the file named by NAME_FILE, the systemd credential NAME
+function readSetting(config, name) {
+    if (config[name]) return config[name];
+    if (config[`${name}_FILE`]) return readSecretFile(config[`${name}_FILE`], name);
+    const credential = config.CREDENTIALS_DIRECTORY ? path.join(config.CREDENTIALS_DIRECTORY, name) : null;
+    if (credential && fs.existsSync(credential)) return readSecretFile(credential, name);
+    return config[name];
+}
+
+function usesKeyring(config) {
+    const store = (config.SECRET_STORE || "file").toLowerCase();
+    if (!["file", "keyring"].includes(store)) {
+        throw new ConfigError(`Invalid SECRET_STORE "${config.SECRET_STORE}". Use file or keyring.`);
+    }
+    return store === "keyring";
+}
+
+const keyringAccount = (url, user) => `${user}@${new URL(url).host}`;
+
+function runSecretTool(args, input) {
+    const res = spawnSync("secret-tool", args, { input, encoding: "utf-8" });
+    if (res.error) throw new ConfigError(`SECRET_STORE=keyring needs secret-tool (libsecret-tools): ${res.error.message}`);
+    return res;
+}
+
+function keyringLookup(url, user, service = KEYRING_SERVICE) {
+    const res = runSecretTool(["lookup", "service", service, "account", keyringAccount(url, user)]);
+    return res.status === 0 && res.stdout ? res.stdout.replace(/\n$/, "") : null;
+}
+
+// secret-tool reads the secret from stdin, so it never shows up on a command line
+function keyringStore(url, user, secret) {
+    const account = keyringAccount(url, user);
+    const res = runSecretTool(["store", `--label=Localthumbs ${account}`, "service", KEYRING_SERVICE, "account", account], secret);
+    if (res.status !== 0) throw new Error(`secret-tool store failed: ${res.stderr.trim() || `exit code ${res.status}`}`);
+}
+
+// --- LOGIN FLOW ---
+// login() (the CLI's --login) runs Nextcloud Login Flow v2: the user approves the request in the browser and the
+// server hands out an app password, listed as "localthumbs-cli" in the user's security settings. The password goes
+// into the keyring (SECRET_STORE=keyring) or a 0600 file (NC_PASS_FILE, default nc_pass next to STATE_DB).
+
+const LOGIN_USER_AGENT = "localthumbs-cli";
+const LOGIN_POLL_MS = 2000;
+const LOGIN_TIMEOUT_MS = 20 * 60 * 1000; // Nextcloud drops a pending flow after 20 minutes
+
+// Resolves with { url, user } for NC_URL/NC_USER plus `file` or `keyring` where the password was stored.
+// `onLoginUrl(url)` is called with the page the user has to open.
+export async function login(config = {}, { server, onLoginUrl } = {}) {
+    const keyring = usesKeyring(config);
+    const root = (server || readSetting(config, "NC_URL")?.split("/remote.php")[0] || "").replace(/\/+$/, "");
+    if (!/^https?:\/\//.test(root) || !URL.canParse(root)) {
+        throw new ConfigError("--login needs the server address, e.g. --login https://cloud.example.com (or NC_URL).");
+    }
+    const client = axios.create({
+        headers: { "User-Agent": LOGIN_USER_AGENT },
+        httpsAgent: new https.Agent({ rejectUnauthorized: config.NC_STRICT_TLS === "true" })
+    });
+
+    const { data: flow } = await client.post(`${root}/index.php/login/v2`);
+    onLoginUrl?.(flow.login);
+
+    // 404 until the user has approved the request
+    const deadline = Date.now() + LOGIN_TIMEOUT_MS;
+    let grant = null;
+    while (!grant) {
+        if (Date.now() > deadline) throw new Error("The login was not approved within 20 minutes.");
+        await new Promise(r => setTimeout(r, LOGIN_POLL_MS));
+        const res = await client.post(flow.poll.endpoint, new URLSearchParams({ token: flow.poll.token }), {
+            validateStatus: status => status === 200 || status === 404
+        });
+        if (res.status === 200) grant = res.data;
+    }
+
+    // The files URL needs the user ID, which may differ from the login name (e.g. an email address)
+    const serverRoot = grant.server.replace(/\/+$/, "");
+    const { data: me } = await client.get(`${serverRoot}/ocs/v2.php/cloud/user?format=json`, {
+        auth: { username: grant.loginName, password: grant.appPassword },
+        headers: { "OCS-APIRequest": "true" }
+    });
+    const url = `${serverRoot}/remote.php/dav/files/${encodeURIComponent(me.ocs.data.id)}/`;
+
+    if (keyring) {
+        keyringStore(url, grant.loginName, grant.appPassword);
+        return { url, user: grant.loginName, keyring: keyringAccount(url, grant.loginName) };
+    }
+    const file = path.resolve(config.NC_PASS_FILE || path.join(path.dirname(config.STATE_DB || "./localthumbs.db"), "nc_pass"));
+    fs.writeFileSync(file, grant.appPassword + "\n", { mode: 0o600 });
+    // The mode only applies to new files
+    fs.chmodSync(file, 0o600);
+    return { url, user: grant.loginName, file };
+}
+
+// --- THUMBNAILER ---
+// `config` takes the environment variable names listed by `--help` (NC_URL, THUMB_SIZES, ...), e.g. process.env,
+// plus these keys:
+//   targets - array like the "targets" of TARGETS_FILE, used instead of NC_URL/NC_USER/NC_PASS and TARGETS_FILE
+//   target  - only use the target of that name
+//   logger  - { debug, info, warn, error } to log through (default: createLogger() with LOG_FORMAT/LOG_LEVEL)
+//   hooks   - shouldProcess({ target, path, item }) returning false skips a file;
+//             beforeUpload({ target, path, file, generator, item }) may rewrite the JPEG `file` in place
+// Events: fileStart, stage, upload, skip, failure ({ target, path, ... }) and scanComplete (the scan result).
+export function createThumbnailer(config = {}) {
+    const {
+        NC_URL, NC_STRICT_TLS,
+        STATE_DB, FOLDER_CACHE, THUMB_CACHE, FAIL_CACHE,
+        SCAN_INTERVAL_DAYS, FFMPEG_THREADS, MAX_VIDEO_SIZE_MB,
+        IO_CONCURRENCY, WATCH_INTERVAL_MINUTES, WATCH_CRON,
+        RETRY_BASE_MINUTES, RETRY_MAX_ATTEMPTS, FAIL_EXPIRY_DAYS,
+        INCLUDE_PATHS, EXCLUDE_PATHS, FILTER_FILE, OPTOUT_MARKERS,
+        INCREMENTAL_MODE, SYNC_STATE_FILE,
+        THUMB_EXTENSIONS, THUMB_MIME_TYPES,
+        FRAME_STRATEGY, FRAME_PERCENT, SMART_FRAME_SAMPLES,
+        THUMB_SIZES, THUMB_FORMATS, THUMB_QUALITY,
+        THUMB_ANIMATION, ANIMATION_SECONDS, ANIMATION_WIDTH, CONTACT_SHEET, VIDEO_METADATA,
+        TARGETS_FILE, LOG_FORMAT, LOG_LEVEL, METRICS_PORT, METRICS_HOST,
+        BANDWIDTH_LIMIT, TRANSFER_BUDGET_RUN, TRANSFER_BUDGET_DAY, TRANSFER_STATE_FILE,
+        FFMPEG_CONCURRENCY, FFMPEG_MAX_CONCURRENCY, FFMPEG_MIN_FREE_MB, FFMPEG_TIMEOUT_SECONDS,
+        SOURCE_CACHE_SIZE
+    } = config;
+
+    const NC_USER = readSetting(config, "NC_USER");
+    const NC_PASS = readSetting(config, "NC_PASS");
+    const NC_SECRET = readSetting(config, "NC_SECRET");
+    const USE_KEYRING = usesKeyring(config);
+    const MAGICK_BIN = config.MAGICK_BIN || "magick";
+    const TEMP_DIR = config.TEMP_DIR || "./tmp_thumbs";
+    const log = config.logger ?? createLogger({ format: LOG_FORMAT, level: LOG_LEVEL });
+    const hooks = config.hooks ?? {};
+
+    const thumbnailer = new EventEmitter();
+    let shuttingDown = false; // Set by stop(); stops new work from being queued
+
+    // A throwing listener must not take the file job down with it
+    function emit(event, payload) {
+        try {
+            thumbnailer.emit(event, payload);
+        } catch (e) {
+            log.error(`[!] ${event} listener failed: ${e.message}`);
+        }
+    }
+
+    const STRICT_TLS = NC_STRICT_TLS === "true";
+    const SECRET = NC_SECRET || "";
+
+    const MAX_SIZE_BYTES = (parseInt(MAX_VIDEO_SIZE_MB) || 3000) * 1024 * 1024;
+    const PARTIAL_DOWNLOAD_BYTES = 100 * 1024 * 1024; // Video stage 2
+
+    log.info(`Max Video Size: ${(MAX_SIZE_BYTES / 1024 / 1024).toFixed(0)} MB`);
+
+    const COOLDOWN_MS = (parseInt(SCAN_INTERVAL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+    // --- HELPER: CPU THREADS ---
+    // FFMPEG_THREADS fixes the threads per process. Unset (or -1), all cores but one are split between the
+    // ffmpeg processes allowed to run at once, e.g. 16 cores and FFMPEG_CONCURRENCY=5 give 3 threads each.
+    const CPU_COUNT = os.cpus().length;
+
+    function getFfmpegThreads(concurrency = 1) {
+        let target = -1;
+        if (FFMPEG_THREADS !== undefined && FFMPEG_THREADS !== "") {
+            target = parseInt(FFMPEG_THREADS);
+        }
+
+        if (target === -1) {
+            return Math.max(1, Math.floor((CPU_COUNT - 1) / concurrency));
+        }
+
+        return Math.max(1, target);
+    }
+
+    // Read when a process is started, so adaptive concurrency changes apply to the next job
+    const threadCount = () => getFfmpegThreads(ffmpegQueue.concurrency);
+
+    // IO_CONCURRENCY for downloads/webdav (per target). FFMPEG_CONCURRENCY for ffmpeg/ffprobe and the other
+    // decoders, shared by all targets: a number (default 1) or "auto" to adapt between 1 and FFMPEG_MAX_CONCURRENCY.
+    const IO_LIMIT = parseInt(IO_CONCURRENCY) || 2;
+    const FFMPEG_ADAPTIVE = (FFMPEG_CONCURRENCY || "").toLowerCase() === "auto";
+    const FFMPEG_LIMIT = FFMPEG_ADAPTIVE
+        ? parseInt(FFMPEG_MAX_CONCURRENCY) || Math.max(1, Math.floor(CPU_COUNT / 2))
+        : parseInt(FFMPEG_CONCURRENCY || "1");
+
+    if (!(FFMPEG_LIMIT >= 1)) {
+        throw new ConfigError(`Invalid FFMPEG_CONCURRENCY "${FFMPEG_CONCURRENCY}". Use a number >= 1 or auto.`);
+    }
+
+    const ffmpegQueue = new JobQueue(FFMPEG_ADAPTIVE ? 1 : FFMPEG_LIMIT);
+
+    log.info(FFMPEG_ADAPTIVE
+        ? `FFmpeg: adaptive, 1-${FFMPEG_LIMIT} parallel process(es), threads split between them.`
+        : `FFmpeg: ${FFMPEG_LIMIT} parallel process(es), ${threadCount()} thread(s) each.`);
+
+    const waitForQueues = () => waitForIdle(ffmpegQueue, ...targets.map(t => t.ioQueue));
+
+    // --- ADAPTIVE FFMPEG CONCURRENCY ---
+    // FFMPEG_CONCURRENCY=auto: every few seconds take one step down when the box is saturated (1-minute load
+    // average per core) or short on memory, or one step up while jobs wait and there is headroom.
+    // The load average is always 0 on Windows, so only free memory counts there.
+
+    const ADAPT_INTERVAL_MS = 10000;
+    const MIN_FREE_BYTES = (parseInt(FFMPEG_MIN_FREE_MB) || 1024) * 1024 * 1024;
+
+    function adaptFfmpegConcurrency() {
+        const load = os.loadavg()[0] / CPU_COUNT;
+        const free = os.freemem();
+        const current = ffmpegQueue.concurrency;
+
+        let next = current;
+        if ((load > 0.9 || free < MIN_FREE_BYTES) && current > 1) {
+            next = current - 1;
+        } else if (load < 0.7 && free > 2 * MIN_FREE_BYTES && ffmpegQueue.queue.length > 0 && current < FFMPEG_LIMIT) {
+            next = current + 1;
+        }
+        if (next === current) return;
+
+        ffmpegQueue.setConcurrency(next);
+        log.info(`[i] FFmpeg concurrency ${current} -> ${next} (load ${load.toFixed(2)}/core, ${formatMB(free)} free, ${threadCount()} thread(s) each)`);
+    }
+
+    let adaptTimer = null;
+
+    function startAdaptiveConcurrency() {
+        if (!FFMPEG_ADAPTIVE || adaptTimer) return;
+        adaptTimer = setInterval(adaptFfmpegConcurrency, ADAPT_INTERVAL_MS);
+        adaptTimer.unref();
+    }
+
+    // --- METRICS ---
+    // Minimal Prometheus registry (text exposition format). Everything is recorded in memory;
+    // METRICS_PORT only decides whether it is served on http://METRICS_HOST:METRICS_PORT/metrics.
+
+    const metricRegistry = [];
+
+    const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+    const formatLabels = (labels) => {
+        const entries = Object.entries(labels);
+        return entries.length > 0 ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+    };
+    const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+    function defineMetric(type, name, help, collect) {
+        metricRegistry.push({ type, name, help, collect });
+    }
+
+    function createCounter(name, help) {
+        const series = new Map();
+        defineMetric("counter", name, help, () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = labelKey(labels);
+                if (!series.has(key)) series.set(key, { labels, value: 0 });
+                series.get(key).value += amount;
+            }
+        };
+    }
+
+    // Gauges are read at scrape time: read() returns [{ labels, value }]
+    function createGauge(name, help, read) {
+        defineMetric("gauge", name, help, () => read().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+    }
+
+    function createHistogram(name, help, buckets) {
+        const series = new Map();
+        defineMetric("histogram", name, help, () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+        ]));
+        return {
+            observe(labels, value) {
+                const key = labelKey(labels);
+                if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const s = series.get(key);
+                buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+                s.sum += value;
+                s.count++;
+            }
+        };
+    }
+
+    const renderMetrics = () => metricRegistry
+        .map(({ type, name, help, collect }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...collect()].join("\n"))
+        .join("\n") + "\n";
+
+    const metrics = {
+        uploads: createCounter("localthumbs_uploads_total", "Thumbnails uploaded"),
+        failures: createCounter("localthumbs_failures_total", "Files that failed, by generator and error kind"),
+        skips: createCounter("localthumbs_skips_total", "Files skipped, by reason"),
+        changed: createCounter("localthumbs_changed_total", "Files regenerated because the source changed"),
+        moves: createCounter("localthumbs_moves_total", "Thumbnails re-pointed after a rename/move"),
+        verify: createCounter("localthumbs_verify_total", "--verify findings: stale cache entries, orphaned and pruned thumbnails"),
+        deletes: createCounter("localthumbs_deletes_total", "Remote thumbnails deleted with --delete-thumbs"),
+        videoStages: createCounter("localthumbs_video_stage_total", "Video pipeline attempts by stage (1 = stream, 2 = partial, 3 = full, cache = source cache hit) and result"),
+        bytesDownloaded: createCounter("localthumbs_downloaded_bytes_total", "Bytes downloaded via WebDAV"),
+        toolDuration: createHistogram("localthumbs_ffmpeg_duration_seconds", "Run time of ffmpeg/ffprobe and the other decoders",
+            [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600])
+    };
+
+    const lastScan = { started: 0, duration: 0 };
+
+    createGauge("localthumbs_queue_length", "Jobs waiting in a queue", () => [
+        ...targets.map(t => ({ labels: { queue: "io", target: t.name }, value: t.ioQueue.queue.length })),
+        { labels: { queue: "ffmpeg" }, value: ffmpegQueue.queue.length }
+    ]);
+    createGauge("localthumbs_queue_running", "Jobs currently running in a queue", () => [
+        ...targets.map(t => ({ labels: { queue: "io", target: t.name }, value: t.ioQueue.running })),
+        { labels: { queue: "ffmpeg" }, value: ffmpegQueue.running }
+    ]);
+    createGauge("localthumbs_ffmpeg_concurrency", "ffmpeg processes allowed to run at once", () =>
+        [{ labels: {}, value: ffmpegQueue.concurrency }]);
+    createGauge("localthumbs_last_scan_timestamp_seconds", "Start of the last finished scan", () =>
+        lastScan.started ? [{ labels: {}, value: lastScan.started / 1000 }] : []);
+    createGauge("localthumbs_last_scan_duration_seconds", "Duration of the last finished scan", () =>
+        lastScan.started ? [{ labels: {}, value: lastScan.duration / 1000 }] : []);
+
+    const observeTool = (tool, started) => metrics.toolDuration.observe({ tool }, (Date.now() - started) / 1000);
+
+    // Per-run stats key -> counter (and fixed labels) it feeds
+    const STAT_METRICS = {
+        uploaded: [metrics.uploads],
+        failed: [metrics.failures],
+        skippedSize: [metrics.skips, { reason: "size" }],
+        skippedExists: [metrics.skips, { reason: "exists" }],
+        skippedCache: [metrics.skips, { reason: "cache" }],
+        skippedFailed: [metrics.skips, { reason: "failed" }],
+        skippedHook: [metrics.skips, { reason: "hook" }],
+        changed: [metrics.changed],
+        moved: [metrics.moves],
+        deferred: [metrics.skips, { reason: "budget" }],
+        stale: [metrics.verify, { result: "stale" }],
+        orphaned: [metrics.verify, { result: "orphaned" }],
+        pruned: [metrics.verify, { result: "pruned" }],
+        deleted: [metrics.deletes]
+    };
+
+    // Bumps a target's run stats and the matching Prometheus counter
+    function countStat(t, key, labels = {}) {
+        t.stats[key]++;
+        const [counter, fixed] = STAT_METRICS[key];
+        counter.inc({ target: t.name, ...fixed, ...labels });
+    }
+
+    const servers = []; // Metrics endpoint and stream proxy, closed by close()
+
+    function startMetricsServer() {
+        if (!METRICS_PORT || servers.some(s => s.metrics)) return;
+        const host = METRICS_HOST || "127.0.0.1";
+        const port = parseInt(METRICS_PORT);
+        const server = http.createServer((req, res) => {
+            if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+            res.end(renderMetrics());
+        });
+        server.metrics = true;
+        server.on("error", e => log.error(`[!] Metrics server failed: ${e.message}`));
+        server.listen(port, host, () => log.info(`[i] Metrics available at http://${host}:${port}/metrics`));
+        // One-shot runs still exit once the scan is done
+        server.unref();
+        servers.push(server);
+    }
+
+    const getHash = (str) => crypto.createHash("md5").update(str).digest("hex").substring(0, 8);
+    const getRelativePath = (t, fullPath) => {
+        let rel = fullPath;
+        if (fullPath.startsWith(t.davPrefix)) {
+            rel = fullPath.substring(t.davPrefix.length);
+        }
+        if (!rel.startsWith("/")) rel = "/" + rel;
+        return rel;
+    }
+
+    // PROPFIND body asking for the usual stat props plus Nextcloud's stable file ID
+    const DAV_PROPS_XML = "<d:prop><d:getlastmodified/><d:getcontentlength/><d:getcontenttype/><d:getetag/><d:resourcetype/><oc:fileid/></d:prop>";
+    const PROPFIND_BODY = `<?xml version="1.0"?><d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">${DAV_PROPS_XML}</d:propfind>`;
+
+    const withFileId = ({ props, ...stat }) => ({ ...stat, fileid: props?.fileid ?? null });
+
+    // Absolute WebDAV URL of a file, for ffmpeg and plain HTTP range reads
+    const remoteFileUrl = (t, filename) => {
+        const pathEncoded = filename.split('/').map(encodeURIComponent).join('/');
+        return new URL(pathEncoded.startsWith('/') ? pathEncoded.substring(1) : pathEncoded, t.url).href;
+    };
+
+    async function listDirectory(t, relDir) {
+        const res = await t.dav.getDirectoryContents(relDir, { details: true, data: PROPFIND_BODY });
+        return res.data.map(withFileId);
+    }
+
+    async function statPath(t, relPath) {
+        const res = await t.dav.stat(relPath, { details: true, data: PROPFIND_BODY });
+        return withFileId(res.data);
+    }
+
+    // --- CAPABILITIES ---
+    async function checkCapabilities(t) {
+        try {
+            const res = await t.client.get(`${t.ncRoot}/ocs/v2.php/cloud/capabilities?format=json`);
+            const data = res.data.ocs.data.capabilities.localthumbs;
+            if (data) {
+                t.capabilities = { ...t.capabilities, ...data.features };
+                log.info(`${t.tag}[i] Remote capabilities detected:`, t.capabilities);
+            }
+        } catch (e) {
+            log.warn(`${t.tag}[!] Failed to check capabilities: ${e.message}`);
+        }
+    }
+
+    // --- STATE STORE ---
+    // One SQLite database per target for folders and files. Replaces folder_cache.csv, thumb_cache.csv and
+    // fail_cache.csv, which are imported once on first start and renamed to *.migrated.
+
+    const STATE_DB_PATH = STATE_DB || "./localthumbs.db";
+
+    // Index = schema version reached after running that step (tracked in PRAGMA user_version)
+    const SCHEMA_MIGRATIONS = [
+        null,
+        `CREATE TABLE files (
+            path TEXT PRIMARY KEY,
+            fileid INTEGER,
+            etag TEXT,
+            size INTEGER,
+            mtime TEXT,
+            status TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            generator TEXT,
+            updated_at INTEGER NOT NULL
+        );
+        CREATE INDEX files_status ON files(status);
+        CREATE INDEX files_fileid ON files(fileid);
+        CREATE TABLE folders (
+            path TEXT PRIMARY KEY,
+            ts INTEGER NOT NULL,
+            mtime TEXT
+        );`,
+        `ALTER TABLE files ADD COLUMN error_kind TEXT;
+        ALTER TABLE files ADD COLUMN next_retry_at INTEGER;`,
+        `ALTER TABLE folders ADD COLUMN opted_out INTEGER NOT NULL DEFAULT 0;`,
+        `ALTER TABLE files ADD COLUMN metadata TEXT;`
+    ];
+
+    function migrateSchema(db) {
+        const current = db.pragma("user_version", { simple: true });
+        for (let version = current + 1; version < SCHEMA_MIGRATIONS.length; version++) {
+            db.transaction(() => {
+                db.exec(SCHEMA_MIGRATIONS[version]);
+                db.pragma(`user_version = ${version}`);
+            })();
+        }
+    }
+
+    const prepareStatements = (db) => ({
+        getFolder: db.prepare("SELECT ts, mtime, opted_out FROM folders WHERE path = ?"),
+        setFolder: db.prepare(`INSERT INTO folders (path, ts, mtime, opted_out) VALUES (?, ?, ?, ?)
+            ON CONFLICT(path) DO UPDATE SET ts = excluded.ts, mtime = excluded.mtime, opted_out = excluded.opted_out`),
+        deleteFolder: db.prepare("DELETE FROM folders WHERE path = ?"),
+        getFile: db.prepare("SELECT * FROM files WHERE path = ?"),
+        getFileByFileId: db.prepare("SELECT * FROM files WHERE fileid = ? AND status = 'done'"),
+        deleteFile: db.prepare("DELETE FROM files WHERE path = ?"),
+        renameFile: db.prepare(`UPDATE files SET path = @path, fileid = @fileid, etag = @etag, size = @size, mtime = @mtime,
+            updated_at = @now WHERE path = @from`),
+        updateFingerprint: db.prepare(`UPDATE files SET fileid = @fileid, etag = @etag, size = @size, mtime = @mtime
+            WHERE path = @path`),
+        markDone: db.prepare(`INSERT INTO files (path, fileid, etag, size, mtime, status, attempts, last_error, generator, updated_at,
+                metadata)
+            VALUES (@path, @fileid, @etag, @size, @mtime, 'done', 1, NULL, @generator, @now, @metadata)
+            ON CONFLICT(path) DO UPDATE SET fileid = excluded.fileid, etag = excluded.etag, size = excluded.size,
+                mtime = excluded.mtime, status = 'done', attempts = attempts + 1, last_error = NULL,
+                error_kind = NULL, next_retry_at = NULL,
+                generator = COALESCE(excluded.generator, generator), updated_at = excluded.updated_at,
+                metadata = excluded.metadata`),
+        markFailed: db.prepare(`INSERT INTO files (path, fileid, etag, size, mtime, status, attempts, last_error, generator, updated_at,
+                error_kind, next_retry_at)
+            VALUES (@path, @fileid, @etag, @size, @mtime, 'failed', 1, @error, @generator, @now, @kind, NULL)
+            ON CONFLICT(path) DO UPDATE SET fileid = excluded.fileid, etag = excluded.etag, size = excluded.size,
+                mtime = excluded.mtime, status = 'failed', attempts = attempts + 1, last_error = excluded.last_error,
+                generator = excluded.generator, updated_at = excluded.updated_at, error_kind = excluded.error_kind`),
+        setNextRetry: db.prepare("UPDATE files SET next_retry_at = ? WHERE path = ?"),
+        resetAttempts: db.prepare("UPDATE files SET attempts = 0 WHERE path = ?"),
+        listFailed: db.prepare("SELECT * FROM files WHERE status = 'failed' ORDER BY updated_at DESC"),
+        listFiles: db.prepare("SELECT path, fileid, status FROM files ORDER BY path")
+    });
+
+    // Imports the legacy CSV caches. Folder lines are "path,ts,mtime"; split from the right so commas in paths survive.
+    function migrateLegacyCaches(db, stmts, dbPath, { folderCache, thumbCache, failCache } = {}, { dryRun = false } = {}) {
+        const legacy = [folderCache, thumbCache, failCache].filter(f => f && fs.existsSync(f));
+        if (legacy.length === 0) return;
+
+        const readLines = (file) => file && fs.existsSync(file)
+            ? fs.readFileSync(file, "utf-8").split("\n").map(l => l.trim()).filter(Boolean)
+            : [];
+        const blank = { fileid: null, etag: null, size: null, mtime: null, generator: null, kind: null, metadata: null, now: Date.now() };
+        const counts = { folders: 0, done: 0, failed: 0 };
+
+        db.transaction(() => {
+            for (const line of readLines(folderCache)) {
+                const mtimeSep = line.lastIndexOf(",");
+                const tsSep = line.lastIndexOf(",", mtimeSep - 1);
+                if (tsSep <= 0) continue;
+                stmts.setFolder.run(line.substring(0, tsSep), parseInt(line.substring(tsSep + 1, mtimeSep)) || 0, line.substring(mtimeSep + 1), 0);
+                counts.folders++;
+            }
+            // Duplicate lines from the append-only files collapse into one row
+            for (const p of new Set(readLines(thumbCache))) {
+                stmts.markDone.run({ ...blank, path: p });
+                counts.done++;
+            }
+            for (const p of new Set(readLines(failCache))) {
+                if (stmts.getFile.get(p)?.status === "done") continue;
+                stmts.markFailed.run({ ...blank, path: p, error: "Imported from fail_cache.csv" });
+                counts.failed++;
+            }
+        })();
+
+        // A dry run leaves the CSVs where they are for the real import
+        if (dryRun) return;
+        legacy.forEach(f => fs.renameSync(f, `${f}.migrated`));
+        log.info(`[i] Migrated CSV caches into ${dbPath}: ${counts.folders} folders, ${counts.done} done, ${counts.failed} failed.`);
+    }
+
+    const fileRecord = (p, item, generator) => ({
+        path: p,
+        fileid: item?.fileid ?? null,
+        etag: item?.etag ?? null,
+        size: item?.size ?? null,
+        mtime: item?.lastmod ?? null,
+        generator: generator ?? null,
+        now: Date.now()
+    });
+
+    // In-memory copy of a database for dry runs: migrations and the CSV import happen there, the file stays as it is
+    function snapshotDatabase(dbPath) {
+        if (!fs.existsSync(dbPath) || fs.statSync(dbPath).size === 0) return new Database(":memory:");
+        let data;
+        if (fs.existsSync(`${dbPath}-wal`)) {
+            // Another process (e.g. --watch) has it open: read through SQLite to include the WAL's pages
+            const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+            data = db.serialize();
+            db.close();
+        } else {
+            data = fs.readFileSync(dbPath);
+        }
+        // An in-memory database can't be in WAL mode: mark the header as rollback journal
+        data[18] = data[19] = 1;
+        return new Database(data);
+    }
+
+    // A target's database, opened (and migrated) on first use. `legacy` holds the CSV cache paths to import, if any.
+    // Dry runs work on a snapshot (snapshotDatabase) that a later real run swaps for the file again.
+    function openStateStore(dbPath, legacy = {}) {
+        let conn = null; // { db, stmts, dryRun }
+
+        function connect() {
+            if (conn && conn.dryRun === run.dryRun) return conn;
+            conn?.db.close();
+            const dryRun = run.dryRun;
+            const db = dryRun ? snapshotDatabase(dbPath) : new Database(dbPath);
+            if (!dryRun) {
+                db.pragma("journal_mode = WAL");
+                db.pragma("synchronous = NORMAL");
+            }
+            migrateSchema(db);
+            const stmts = prepareStatements(db);
+            migrateLegacyCaches(db, stmts, dbPath, legacy, { dryRun });
+            conn = { db, stmts, dryRun };
+            return conn;
+        }
+
+        const statements = () => connect().stmts;
+        const transaction = (fn) => (...args) => {
+            const { db, stmts } = connect();
+            return db.transaction(() => fn(stmts, ...args))();
+        };
+
+        return {
+            path: dbPath,
+
+            getFolderState: (p) => statements().getFolder.get(p),
+            getFileState: (p) => statements().getFile.get(p),
+
+            updateFolderCache(p, ts, mtime, optedOut = false) {
+                statements().setFolder.run(p, ts, mtime, optedOut ? 1 : 0);
+            },
+
+            // Forget folders so the next scan visits them again (e.g. jobs dropped on shutdown). Their ancestors
+            // go too: an unchanged, cached parent would otherwise be skipped without ever descending into them.
+            invalidateFolderCache: transaction((stmts, dirs) => {
+                for (const d of dirs) {
+                    for (let p = normalizeRelPath(d); ; p = path.posix.dirname(p)) {
+                        stmts.deleteFolder.run(p);
+                        if (p === "/") break;
+                    }
+                }
+            }),
+
+            // `metadata` (VIDEO_METADATA) is stored as JSON; a null clears what an earlier version of the file had
+            markDone(p, item = null, generator = null, metadata = null) {
+                statements().markDone.run({ ...fileRecord(p, item, generator), metadata: metadata ? JSON.stringify(metadata) : null });
+            },
+
+            markFailed: transaction((stmts, p, item = null, generator = null, error = null) => {
+                const kind = classifyError(error);
+                stmts.markFailed.run({ ...fileRecord(p, item, generator), error: error ? String(error.message || error) : null, kind });
+                const { attempts } = stmts.getFile.get(p);
+                stmts.setNextRetry.run(nextRetryAt(kind, attempts), p);
+            }),
+
+            resetAttempts: (p) => statements().resetAttempts.run(p),
+            listFailedFiles: () => statements().listFailed.all(),
+            listFiles: () => statements().listFiles.all(),
+            getDoneByFileId: (fileid) => statements().getFileByFileId.get(fileid),
+
+            deleteFileState: (p) => statements().deleteFile.run(p),
+
+            renameFileState: transaction((stmts, from, to, item) => {
+                stmts.deleteFile.run(to);
+                stmts.renameFile.run({ ...fileRecord(to, item), from });
+            }),
+
+            updateFingerprint(p, item) {
+                statements().updateFingerprint.run(fileRecord(p, item));
+            },
+
+            clearState() {
+                connect().db.exec("DELETE FROM files; DELETE FROM folders;");
+            },
+
+            close() {
+                conn?.db.close();
+                conn = null;
+            }
+        };
+    }
+
+    // --- PATH FILTERS ---
+    // Globs are matched against relative paths ("/Photos/2024/a.jpg"). Patterns without a slash match
+    // the basename anywhere (".Trash*", "*.part"). Folders are filtered before any request is made.
+
+    // Comma-separated string (env) or array (TARGETS_FILE)
+    const parsePatterns = (value) => (Array.isArray(value) ? value.map(String) : (value || "").split(","))
+        .map(p => p.trim()).filter(Boolean);
+
+    const normalizeRelPath = (p) => "/" + p.split("/").filter(Boolean).join("/");
+    const isUnder = (p, dir) => dir === "/" || p === dir || p.startsWith(dir + "/");
+
+    const globMatch = (p, pattern, partial = false) => minimatch(p, pattern, { dot: true, matchBase: !pattern.includes("/"), partial });
+
+    // regenerate/deleteThumbs option: a plain path selects that file or everything below it, a glob is matched
+    // like the filter patterns. `root` is the deepest folder every match lives in; the walk starts there.
+    const hasGlobMagic = (p) => /[*?[{]/.test(p);
+
+    function parseSelection(pattern) {
+        if (!hasGlobMagic(pattern)) {
+            const root = normalizeRelPath(pattern);
+            return { root, matches: (relPath) => isUnder(relPath, root) };
+        }
+        if (!pattern.includes("/")) return { root: "/", matches: (relPath) => globMatch(relPath, pattern) };
+
+        const parts = pattern.split("/").filter(Boolean);
+        const glob = "/" + parts.join("/");
+        return {
+            root: "/" + parts.slice(0, parts.findIndex(hasGlobMagic)).join("/"),
+            matches: (relPath) => globMatch(relPath, glob)
+        };
+    }
+
+    // --- RUN OPTIONS ---
+    // scan() options: force, dryRun, retryFailed, verify, prune, path, and regenerate or deleteThumbs (a path or glob,
+    // see parseSelection). `run` holds them normalized while a command runs and the defaults otherwise.
+
+    function normalizeScanOptions(options = {}) {
+        const { force = false, dryRun = false, retryFailed = false, verify = false, prune = false } = options;
+        const regenerate = options.regenerate ?? null;
+        const deleteThumbs = options.deleteThumbs ?? null;
+        const selectPattern = regenerate ?? deleteThumbs;
+
+        if (prune && !verify) throw new ConfigError("prune only works together with verify.");
+        if (verify && (retryFailed || force)) throw new ConfigError("verify cannot be combined with retryFailed or force.");
+        if (selectPattern !== null) {
+            if ((regenerate !== null && deleteThumbs !== null) || retryFailed || verify || force || options.path) {
+                throw new ConfigError("regenerate and deleteThumbs cannot be combined with each other, retryFailed, verify, force or path.");
+            }
+            if (typeof selectPattern !== "string" || selectPattern === "") {
+                throw new ConfigError(`${regenerate !== null ? "regenerate" : "deleteThumbs"} needs a path or glob.`);
+            }
+        }
+
+        const selection = selectPattern !== null ? parseSelection(selectPattern) : null;
+        return {
+            force, dryRun, retryFailed, verify, prune,
+            regenerate: regenerate !== null,
+            deleteThumbs: deleteThumbs !== null,
+            selectPattern,
+            // Only touches matching files: no folder cache, no incremental sync
+            selection,
+            startPath: selection ? selection.root : normalizeRelPath(options.path || "/")
+        };
+    }
+
+    let run = normalizeScanOptions();
+
+    function createPathFilter({ include, exclude, filterFile, markers }) {
+        const includePatterns = parsePatterns(include);
+        const excludePatterns = parsePatterns(exclude);
+
+        if (filterFile) {
+            for (const raw of fs.readFileSync(filterFile, "utf-8").split("\n")) {
+                const line = raw.trim();
+                if (!line || line.startsWith("#")) continue;
+                if (line.startsWith("+")) includePatterns.push(line.substring(1).trim());
+                else excludePatterns.push(line.replace(/^[-!]/, "").trim());
+            }
+        }
+
+        // The path itself or any of its parent folders matches an exclude pattern
+        const isExcluded = (relPath) => {
+            if (excludePatterns.length === 0) return false;
+            const parts = relPath.split("/").filter(Boolean);
+            for (let i = parts.length; i > 0; i--) {
+                const p = "/" + parts.slice(0, i).join("/");
+                if (excludePatterns.some(pattern => globMatch(p, pattern))) return true;
+            }
+            return false;
+        };
+
+        return {
+            markers: parsePatterns(markers === undefined ? ".nothumbs,.nomedia" : markers),
+
+            shouldVisitFolder(relDir) {
+                if (!isUnder(relDir, run.startPath) && !isUnder(run.startPath, relDir)) return false;
+                if (relDir !== "/" && isExcluded(relDir)) return false;
+                if (includePatterns.length === 0) return true;
+                // Basename patterns can match anywhere; path patterns only below a matching prefix
+                return includePatterns.some(pattern => !pattern.includes("/") || globMatch(relDir, pattern, true));
+            },
+
+            isPathAllowed(relPath) {
+                if (!isUnder(relPath, run.startPath) || isExcluded(relPath)) return false;
+                if (run.selection && !run.selection.matches(relPath)) return false;
+                return includePatterns.length === 0 || includePatterns.some(pattern => globMatch(relPath, pattern));
+            }
+        };
+    }
+
+    // For files found without walking (incremental sync, --retry-failed): any parent folder remembered as opted out?
+    function isOptedOut(t, relPath) {
+        const parts = relPath.split("/").filter(Boolean);
+        for (let i = parts.length - 1; i >= 0; i--) {
+            if (t.state.getFolderState("/" + parts.slice(0, i).join("/"))?.opted_out) return true;
+        }
+        return false;
+    }
+
+    function isWanted(t, item) {
+        const relPath = getRelativePath(t, item.filename);
+        return isSupported(item) && t.filter.isPathAllowed(relPath) && !isOptedOut(t, relPath);
+    }
+
+    // --- FAILURE POLICY ---
+    // Transient errors (network, 5xx, timeouts, missing tools) are retried with exponential backoff across
+    // runs, up to RETRY_MAX_ATTEMPTS. Permanent ones (undecodable files, 4xx) wait for FAIL_EXPIRY_DAYS.
+
+    const RETRY_BASE_MS = (parseFloat(RETRY_BASE_MINUTES) || 60) * 60 * 1000;
+    const RETRY_MAX = parseInt(RETRY_MAX_ATTEMPTS) || 5;
+    const RETRY_CAP_MS = 7 * 24 * 60 * 60 * 1000;
+    const FAIL_EXPIRY_MS = (FAIL_EXPIRY_DAYS === undefined || FAIL_EXPIRY_DAYS === "" ? 30 : parseFloat(FAIL_EXPIRY_DAYS)) * 24 * 60 * 60 * 1000;
+
+    const TRANSIENT_CODES = ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"];
+
+    function classifyError(err) {
+        if (!err) return "permanent";
+        const status = err.response?.status ?? err.status;
+        if (status) return status === 408 || status === 429 || status >= 500 ? "transient" : "permanent";
+        if (TRANSIENT_CODES.includes(err.code)) return "transient";
+        // Timeouts, dropped sockets and tools that aren't installed yet are worth another try
+        if (/timed? ?out|socket hang up|not found in PATH/i.test(err.message || "")) return "transient";
+        return "permanent";
+    }
+
+    function nextRetryAt(kind, attempts, now = Date.now()) {
+        if (kind !== "transient" || attempts >= RETRY_MAX) return null;
+        return now + Math.min(RETRY_CAP_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+    }
+
+    const isFailureExpired = (record, now) => FAIL_EXPIRY_MS > 0 && now - record.updated_at >= FAIL_EXPIRY_MS;
+    const isRetryDue = (record, now = Date.now()) =>
+        isFailureExpired(record, now) || (record.next_retry_at !== null && now >= record.next_retry_at);
+
+    // Decides whether a failed row is due again. Expired failures start over with a fresh attempt count.
+    function shouldRetryFailed(t, record, now = Date.now()) {
+        if (run.retryFailed) return true;
+        if (isFailureExpired(record, now)) {
+            if (!run.dryRun) t.state.resetAttempts(record.path);
+            return true;
+        }
+        return isRetryDue(record, now);
+    }
+
+    // --- SOURCE FINGERPRINTS ---
+    // A file needs a new thumbnail when its etag changes; rows without an etag compare mtime + size.
+
+    const hasFingerprint = (record) => Boolean(record.etag || record.mtime);
+
+    function sameFingerprint(record, item) {
+        if (record.etag && item.etag) return record.etag === item.etag;
+        if (record.mtime && item.lastmod) return record.mtime === item.lastmod && record.size === item.size;
+        return true;
+    }
+
+    // A finished row with the same Nextcloud fileid under another path means the file was renamed/moved
+    function findMovedRecord(t, relPath, item) {
+        if (!item.fileid) return null;
+        const record = t.state.getDoneByFileId(item.fileid);
+        return record && record.path !== relPath ? record : null;
+    }
+
+    // --- TARGETS ---
+    // A target is one Nextcloud account: its own clients, state database, filters, IO queue and stats.
+    // Without TARGETS_FILE (or config.targets) there is a single "default" target built from NC_URL/NC_USER/NC_PASS.
+    // TARGETS_FILE keys that are left out fall back to the environment (secret, TLS, filters). "passFile" and
+    // "secretFile" read the password or secret from a file; SECRET_STORE=keyring fills in a missing password or secret.
+
+    const TARGET_NAME_PATTERN = /^[\w.-]+$/;
+    // Where the target list comes from, for error messages
+    const TARGETS_SOURCE = config.targets ? "config.targets" : TARGETS_FILE;
+
+    function loadTargetConfigs() {
+        if (!TARGETS_SOURCE) {
+            return [{
+                name: "default",
+                url: NC_URL,
+                user: NC_USER,
+                pass: NC_PASS,
+                stateDb: STATE_DB_PATH,
+                syncStateFile: SYNC_STATE_FILE || path.join(path.dirname(STATE_DB_PATH), "sync_token.json"),
+                legacy: { folderCache: FOLDER_CACHE, thumbCache: THUMB_CACHE, failCache: FAIL_CACHE }
+            }];
+        }
+
+        let parsed = config.targets;
+        if (!parsed) {
+            try {
+                parsed = JSON.parse(fs.readFileSync(TARGETS_FILE, "utf-8"));
+            } catch (e) {
+                throw new ConfigError(`Cannot read TARGETS_FILE ${TARGETS_FILE}: ${e.message}`);
+            }
+        }
+        const list = Array.isArray(parsed) ? parsed : parsed?.targets;
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new ConfigError(`${TARGETS_SOURCE} must contain a non-empty "targets" array.`);
+        }
+
+        // Per-target files live next to STATE_DB unless the target names its own
+        const stateDir = path.dirname(STATE_DB_PATH);
+        const names = new Set();
+        return list.map((cfg, idx) => {
+            if (typeof cfg?.name !== "string" || !TARGET_NAME_PATTERN.test(cfg.name) || names.has(cfg.name)) {
+                throw new ConfigError(`Target #${idx + 1} in ${TARGETS_SOURCE} needs a unique "name" (letters, digits, ".", "-" or "_").`);
+            }
+            names.add(cfg.name);
+            return {
+                ...cfg,
+                stateDb: cfg.stateDb || path.join(stateDir, `localthumbs-${cfg.name}.db`),
+                syncStateFile: cfg.syncStateFile || path.join(stateDir, `sync_token-${cfg.name}.json`)
+            };
+        });
+    }
+
+    function resolveSecrets(cfg) {
+        const resolved = { ...cfg };
+        if (!resolved.pass && cfg.passFile) resolved.pass = readSecretFile(cfg.passFile, `the password of target "${cfg.name}"`);
+        if (resolved.secret === undefined && cfg.secretFile) resolved.secret = readSecretFile(cfg.secretFile, `the secret of target "${cfg.name}"`);
+        if (USE_KEYRING && resolved.user && URL.canParse(resolved.url)) {
+            if (!resolved.pass) resolved.pass = keyringLookup(resolved.url, resolved.user) ?? undefined;
+            if (resolved.secret === undefined && !SECRET) {
+                resolved.secret = keyringLookup(resolved.url, resolved.user, KEYRING_SECRET_SERVICE) ?? undefined;
+            }
+        }
+        return resolved;
+    }
+
+    function createTarget(targetCfg, tagged) {
+        const cfg = resolveSecrets(targetCfg);
+        if (!cfg.url || !cfg.user || !cfg.pass) {
+            throw new ConfigError(cfg.name === "default" && !TARGETS_SOURCE
+                ? "NC_URL, NC_USER and NC_PASS must be set (NC_PASS_FILE, a systemd credential or SECRET_STORE=keyring work too, see --login), or use TARGETS_FILE."
+                : `Target "${cfg.name}" needs "url", "user" and "pass" (or "passFile").`);
+        }
+
+        let davPrefix;
+        try {
+            // Decoded like the hrefs it is stripped from: user IDs such as "a@b" are percent-encoded in NC_URL
+            davPrefix = decodeURIComponent(new URL(cfg.url).pathname);
+        } catch (e) {
+            throw new ConfigError(`Invalid URL for target "${cfg.name}": ${cfg.url}`);
+        }
+
+        const strictTls = cfg.strictTls === undefined ? STRICT_TLS : cfg.strictTls === true || cfg.strictTls === "true";
+        const ncRoot = cfg.url.split('/remote.php')[0];
+        // JSON logs carry the target as a field instead of a message prefix
+        const tag = tagged && !log.json ? `[${cfg.name}] ` : "";
+
+        // Connection Agents with Keep-Alive
+        const agentOptions = {
+            keepAlive: true,
+            rejectUnauthorized: strictTls
+        };
+        const httpAgent = new http.Agent(agentOptions);
+        const httpsAgent = new https.Agent(agentOptions);
+
+        const t = {
+            name: cfg.name,
+            tag,
+            url: cfg.url,
+            user: cfg.user,
+            pass: cfg.pass,
+            strictTls,
+            ncRoot,
+            apiBase: `${ncRoot}/index.php/apps/localthumbs/thumbnail`,
+            httpAgent,
+            httpsAgent,
+            davPrefix,
+
+            dav: createClient(cfg.url, {
+                username: cfg.user,
+                password: cfg.pass,
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                httpAgent: httpAgent,
+                httpsAgent: httpsAgent
+            }),
+
+            // Axios for API
+            client: axios.create({
+                auth: { username: cfg.user, password: cfg.pass },
+                headers: {
+                    'OCS-APIRequest': 'true',
+                    'X-Localthumbs-Secret': cfg.secret ?? SECRET
+                },
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                httpAgent: httpAgent,
+                httpsAgent: httpsAgent
+            }),
+
+            capabilities: { batch_exists: false, variants: false, move: false, delete: false, batch_delete: false, metadata: false },
+            warnedNoVariants: false,
+
+            filter: createPathFilter({
+                include: cfg.include ?? INCLUDE_PATHS,
+                exclude: cfg.exclude ?? EXCLUDE_PATHS,
+                filterFile: cfg.filterFile ?? FILTER_FILE,
+                markers: cfg.markers ?? OPTOUT_MARKERS
+            }),
+            state: openStateStore(cfg.stateDb, cfg.legacy),
+            syncStatePath: cfg.syncStateFile,
+
+            ioQueue: new JobQueue(IO_LIMIT),
+            stats: createStats()
+        };
+
+        withLogContext({ target: t.name }, () => {
+            log.info(`${tag}API Base: ${t.apiBase}`);
+            log.info(`${tag}DAV Prefix: ${t.davPrefix}`);
+            log.info(`${tag}Strict TLS: ${t.strictTls}`);
+        });
+        return t;
+    }
+
+    function selectTargets() {
+        const configs = loadTargetConfigs();
+        if (config.target === undefined) return configs;
+        const selected = configs.filter(cfg => cfg.name === config.target);
+        if (selected.length === 0) {
+            throw new ConfigError(`Unknown target "${config.target}". Available: ${configs.map(cfg => cfg.name).join(", ")}`);
+        }
+        return selected;
+    }
+
+    // Log lines only carry the target name when several accounts share the output
+    const targets = selectTargets().map((cfg, _, all) => createTarget(cfg, Boolean(TARGETS_SOURCE) && all.length > 1));
+
+    // --- LOGIC ---
+
+    async function checkRemoteExists(t, relPath) {
+        try {
+            const res = await t.client.get(`${t.apiBase}/exists`, { params: { path: relPath } });
+            return res.data.exists;
+        } catch (e) {
+            log.error(`${t.tag}Error checking remote existence: ${e.message}`);
+            return null; // Unknown, not missing
+        }
+    }
+
+    async function checkBatchRemoteExists(t, relPaths) {
+        if (!t.capabilities.batch_exists) {
+            const results = {};
+            for (const p of relPaths) {
+                results[p] = await checkRemoteExists(t, p);
+            }
+            return results;
+        }
+        try {
+            const res = await t.client.post(`${t.apiBase}/batch_exists`, { paths: relPaths });
+            if (res.data.status === 'success') return res.data.results;
+            throw new Error(res.data.message);
+        } catch (e) {
+            log.error(`${t.tag}Error in batch check: ${e.message}`);
+            return {};
+        }
+    }
+
+    async function deleteThumbnail(t, relPath) {
+        const res = await t.client.post(`${t.apiBase}/delete`, { path: relPath });
+        if (res.data.status !== 'success') throw new Error(res.data.message);
+        return res.data;
+    }
+
+    const DELETE_BATCH = 200; // Paths per batch_delete request
+    const canDeleteThumbnails = (t) => Boolean(t.capabilities.batch_delete || t.capabilities.delete);
+
+    // Uses `batch_delete` if the server advertises it, one `delete` per path otherwise.
+    // Failed requests are logged and skipped; returns the paths whose thumbnails are gone.
+    async function deleteThumbnails(t, relPaths) {
+        const deleted = [];
+        const batch = t.capabilities.batch_delete;
+        for (let i = 0; i < relPaths.length && !isStopping(); i += batch ? DELETE_BATCH : 1) {
+            const chunk = relPaths.slice(i, i + (batch ? DELETE_BATCH : 1));
+            try {
+                if (batch) {
+                    const res = await t.client.post(`${t.apiBase}/batch_delete`, { paths: chunk });
+                    if (res.data.status !== 'success') throw new Error(res.data.message);
+                } else {
+                    await deleteThumbnail(t, chunk[0]);
+                }
+                chunk.forEach(p => log.info(`${t.tag}[🗑] Deleted thumb: ${p}`));
+                deleted.push(...chunk);
+            } catch (e) {
+                log.error(`${t.tag}[✘] Deleting ${batch ? `${chunk.length} thumbnail(s)` : chunk[0]} failed: ${e.message}`);
+            }
+        }
+        return deleted;
+    }
+
+    async function moveThumbnail(t, fromPath, toPath) {
+        const res = await t.client.post(`${t.apiBase}/move`, { from: fromPath, to: toPath });
+        if (res.data.status !== 'success') throw new Error(res.data.message);
+        return res.data;
+    }
+
+    // `thumbnail` stays the primary JPEG so older servers keep working; variants and metadata ride along in the
+    // same request
+    async function uploadThumbnail(t, relPath, thumbPath, variants = [], metadata = null) {
+        const form = new FormData();
+        form.append('path', relPath);
+        form.append('thumbnail', fs.createReadStream(thumbPath));
+
+        if (variants.length > 0 && t.capabilities.variants) {
+            form.append('variants', JSON.stringify(variants.map(v => ({ name: v.name, mime: v.mime }))));
+            for (const v of variants) {
+                form.append('variant[]', fs.createReadStream(v.file), { filename: v.name, contentType: v.mime });
+            }
+        } else if (variants.length > 0 && !t.warnedNoVariants) {
+            t.warnedNoVariants = true;
+            log.warn(`${t.tag}[!] Server does not advertise the 'variants' capability, uploading the primary thumbnail only.`);
+        }
+
+        if (metadata && t.capabilities.metadata) {
+            form.append('metadata', JSON.stringify(metadata));
+        } else if (metadata && !t.warnedNoMetadata) {
+            t.warnedNoMetadata = true;
+            log.warn(`${t.tag}[!] Server does not advertise the 'metadata' capability, keeping video metadata local.`);
+        }
+
+        const res = await t.client.post(`${t.apiBase}/upload`, form, {
+            headers: { ...form.getHeaders() }
+        });
+
+        if (res.data.status !== 'success') throw new Error(res.data.message);
+        return res.data;
+    }
+
+    // --- OUTPUT VARIANTS ---
+
+    const OUTPUT_FORMATS = {
+        jpg: { mime: "image/jpeg", args: (q) => ['-q:v', String(Math.round(2 + (100 - q) * 29 / 100))] },
+        webp: { mime: "image/webp", args: (q) => ['-c:v', 'libwebp', '-quality', String(q)] },
+        avif: { mime: "image/avif", args: (q) => ['-c:v', 'libaom-av1', '-still-picture', '1', '-crf', String(Math.min(63, Math.round(15 + (100 - q) * 0.6)))] }
+    };
+    const ANIMATION_FORMATS = { webp: "image/webp", gif: "image/gif" };
+
+    const parseList = (str, fallback) => (str || fallback).split(",").map(x => x.trim().toLowerCase()).filter(Boolean);
+
+    // Largest first: the generators render the largest size, smaller ones are scaled from it
+    const THUMB_SIZE_LIST = [...new Set(parseList(THUMB_SIZES, "1024").map(n => parseInt(n)).filter(n => n > 0))].sort((a, b) => b - a);
+    const THUMB_FORMAT_LIST = [...new Set(parseList(THUMB_FORMATS, "jpg").map(f => f === "jpeg" ? "jpg" : f))];
+    const THUMB_QUALITY_VALUE = Math.min(100, Math.max(1, parseInt(THUMB_QUALITY) || 85));
+    const ANIMATION_FORMAT = (THUMB_ANIMATION || "off").toLowerCase();
+    const ANIMATION_SECS = parseFloat(ANIMATION_SECONDS) || 3;
+    const ANIMATION_PX = parseInt(ANIMATION_WIDTH) || 480;
+    const SHEET_MATCH = /^(\d+)x(\d+)$/.exec((CONTACT_SHEET || "off").toLowerCase());
+    const SHEET_GRID = SHEET_MATCH ? { cols: parseInt(SHEET_MATCH[1]), rows: parseInt(SHEET_MATCH[2]) } : null;
+
+    if (THUMB_SIZE_LIST.length === 0) {
+        throw new ConfigError(`Invalid THUMB_SIZES "${THUMB_SIZES}". Use e.g. 256,512,1024.`);
+    }
+    const unknownFormat = THUMB_FORMAT_LIST.find(f => !OUTPUT_FORMATS[f]);
+    if (unknownFormat) {
+        throw new ConfigError(`Unknown THUMB_FORMATS entry "${unknownFormat}". Use ${Object.keys(OUTPUT_FORMATS).join(", ")}.`);
+    }
+    if (ANIMATION_FORMAT !== "off" && !ANIMATION_FORMATS[ANIMATION_FORMAT]) {
+        throw new ConfigError(`Invalid THUMB_ANIMATION "${THUMB_ANIMATION}". Use off, ${Object.keys(ANIMATION_FORMATS).join(" or ")}.`);
+    }
+    if (CONTACT_SHEET && CONTACT_SHEET.toLowerCase() !== "off" && !SHEET_GRID) {
+        throw new ConfigError(`Invalid CONTACT_SHEET "${CONTACT_SHEET}". Use off or a grid like 3x3.`);
+    }
+
+    const THUMB_WIDTH = THUMB_SIZE_LIST[0];
+
+    // Anything beyond the classic single 1024px JPEG needs a server advertising the `variants` capability
+    const WANTS_VARIANTS = THUMB_SIZE_LIST.length > 1 || THUMB_WIDTH !== 1024
+        || THUMB_FORMAT_LIST.length > 1 || THUMB_FORMAT_LIST[0] !== "jpg"
+        || ANIMATION_FORMAT !== "off" || SHEET_GRID !== null;
+
+    // Scales the master still into every configured size/format. Returns [{ name, file, mime }].
+    async function renderVariants(master) {
+        const variants = [];
+        const base = master.replace(/\.jpg$/, "");
+        for (const size of THUMB_SIZE_LIST) {
+            for (const format of THUMB_FORMAT_LIST) {
+                const file = `${base}_${size}.${format}`;
+                await runTool('ffmpeg', [
+                    '-v', 'error', '-y', '-i', master,
+                    '-vf', `scale='min(${size},iw)':-2`,
+                    '-frames:v', '1', ...OUTPUT_FORMATS[format].args(THUMB_QUALITY_VALUE),
+                    '-threads', String(threadCount()),
+                    file
+                ]);
+                variants.push({ name: `${size}.${format}`, file, mime: OUTPUT_FORMATS[format].mime });
+            }
+        }
+        return variants;
+    }
+
+    // Short animated clip starting at the chosen frame
+    function renderAnimation(input, time, output, rotation = 0) {
+        const scale = withRotation(rotation, `fps=10,scale=${ANIMATION_PX}:-2:flags=lanczos`);
+        const encode = ANIMATION_FORMAT === "gif"
+            ? ['-vf', `${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`]
+            : ['-vf', scale, '-c:v', 'libwebp', '-quality', String(THUMB_QUALITY_VALUE)];
+        return runTool('ffmpeg', [
+            '-v', 'error', '-y', '-noautorotate',
+            '-ss', String(time), '-t', String(ANIMATION_SECS), '-i', input,
+            ...encode, '-loop', '0', '-an',
+            '-threads', String(threadCount()),
+            output
+        ]);
+    }
+
+    // Grid of frames spread over 5%..95% of the video; one seek per tile so remote streams stay cheap
+    function contactSheetTimes(duration) {
+        const count = SHEET_GRID.cols * SHEET_GRID.rows;
+        return Array.from({ length: count }, (_, i) => duration > 0 ? duration * (0.05 + 0.9 * i / Math.max(1, count - 1)) : 0);
+    }
+
+    async function renderContactSheet(input, duration, output, rotation = 0) {
+        const tilePrefix = output.replace(/\.jpg$/, "_tile");
+        const tiles = [];
+        try {
+            for (const time of contactSheetTimes(duration)) {
+                const tile = `${tilePrefix}_${String(tiles.length).padStart(3, "0")}.jpg`;
+                try {
+                    await runTool('ffmpeg', [
+                        '-v', 'error', '-y', '-noautorotate',
+                        '-ss', String(time), '-i', input,
+                        '-frames:v', '1', '-vf', withRotation(rotation, 'scale=320:-2'), '-threads', String(threadCount()),
+                        tile
+                    ]);
+                    tiles.push(tile);
+                } catch (e) {
+                    // Tiles past the end of a partial download are left out
+                }
+            }
+            if (tiles.length === 0) throw new Error("No frames for contact sheet");
+            await runTool('ffmpeg', [
+                '-v', 'error', '-y', '-i', `${tilePrefix}_%03d.jpg`,
+                '-vf', `tile=${SHEET_GRID.cols}x${SHEET_GRID.rows}`,
+                '-frames:v', '1', ...OUTPUT_FORMATS.jpg.args(THUMB_QUALITY_VALUE),
+                output
+            ]);
+        } finally {
+            tiles.forEach(t => fs.existsSync(t) && fs.unlinkSync(t));
+        }
+    }
+
+    // Optional animated preview and contact sheet. Failures only cost the extra, never the thumbnail.
+    async function renderVideoExtras(input, { duration, rotation }, time, { target, relPath, localThumb, extras }) {
+        if (ANIMATION_FORMAT !== "off") {
+            const file = localThumb.replace(/\.jpg$/, `_anim.${ANIMATION_FORMAT}`);
+            try {
+                await ffmpegQueue.add(() => renderAnimation(input, time, file, rotation));
+                extras.push({ name: `animated.${ANIMATION_FORMAT}`, file, mime: ANIMATION_FORMATS[ANIMATION_FORMAT] });
+            } catch (e) {
+                log.info(`${target.tag}[!] Animated preview failed for ${relPath}: ${e.message}`);
+            }
+        }
+        if (SHEET_GRID) {
+            const file = localThumb.replace(/\.jpg$/, "_sheet.jpg");
+            try {
+                await ffmpegQueue.add(() => renderContactSheet(input, duration, file, rotation));
+                extras.push({ name: "sheet.jpg", file, mime: "image/jpeg" });
+            } catch (e) {
+                log.info(`${target.tag}[!] Contact sheet failed for ${relPath}: ${e.message}`);
+            }
+        }
+    }
+
+    // --- TRANSFER LIMITS ---
+    // BANDWIDTH_LIMIT throttles all downloads of all targets together (token bucket, one second of burst).
+    // TRANSFER_BUDGET_RUN / TRANSFER_BUDGET_DAY cap the downloaded bytes per run and per calendar day; once one
+    // is used up the run stops like on SIGTERM and the next run carries on. Uploads are not counted.
+
+    const BYTE_UNITS = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+    // "500K", "2M", "1.5G" (binary units, optional "B"/"iB") or plain bytes. Unset means 0 = unlimited.
+    function parseByteSize(name, value) {
+        if (value === undefined || value === "") return 0;
+        const match = /^(\d+(?:\.\d+)?)\s*([KMGT]?)(?:i?B)?$/i.exec(value.trim());
+        if (!match) {
+            throw new ConfigError(`Invalid ${name} "${value}". Use bytes or a K/M/G/T suffix, e.g. 2M.`);
+        }
+        return Math.floor(parseFloat(match[1]) * BYTE_UNITS[match[2].toUpperCase()]);
+    }
+
+    const BANDWIDTH_BYTES = parseByteSize("BANDWIDTH_LIMIT", BANDWIDTH_LIMIT);
+    const RUN_BUDGET_BYTES = parseByteSize("TRANSFER_BUDGET_RUN", TRANSFER_BUDGET_RUN);
+    const DAY_BUDGET_BYTES = parseByteSize("TRANSFER_BUDGET_DAY", TRANSFER_BUDGET_DAY);
+    // Any limit active. Only decides whether the summary reports the downloaded volume: downloads and the stage-1
+    // stream proxy (which every stage-1 stream goes through) are metered either way.
+    const METERED = BANDWIDTH_BYTES > 0 || RUN_BUDGET_BYTES > 0 || DAY_BUDGET_BYTES > 0;
+    const TRANSFER_STATE_PATH = TRANSFER_STATE_FILE || path.join(path.dirname(STATE_DB_PATH), "transfer_usage.json");
+
+    if (BANDWIDTH_BYTES > 0) log.info(`Bandwidth limit: ${formatMB(BANDWIDTH_BYTES)}/s`);
+
+    // Thrown by the meter once a budget is used up; the file is deferred, not marked as failed
+    class TransferBudgetError extends Error {}
+
+    const today = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+    function loadDailyUsage() {
+        try {
+            const { day, bytes } = JSON.parse(fs.readFileSync(TRANSFER_STATE_PATH, "utf-8"));
+            if (day === today()) return bytes;
+        } catch (e) {
+            // Missing or unreadable: nothing used yet
+        }
+        return 0;
+    }
+
+    const transfer = {
+        day: today(),
+        dayBytes: DAY_BUDGET_BYTES > 0 ? loadDailyUsage() : 0,
+        runBytes: 0,
+        savedAt: 0,
+        exhausted: null // Name of the budget that stopped the current run
+    };
+
+    function saveDailyUsage() {
+        if (DAY_BUDGET_BYTES === 0 || run.dryRun) return;
+        fs.writeFileSync(TRANSFER_STATE_PATH, JSON.stringify({ day: transfer.day, bytes: transfer.dayBytes }));
+        transfer.savedAt = Date.now();
+    }
+
+    function rollDay() {
+        if (transfer.day === today()) return;
+        transfer.day = today();
+        transfer.dayBytes = 0;
+    }
+
+    // Stops walking and queueing: on SIGTERM/SIGINT or once a transfer budget is used up
+    const isStopping = () => shuttingDown || transfer.exhausted !== null;
+
+    // Drops every target's queued jobs and forgets their folders so the next run visits them again
+    function dropQueuedJobs() {
+        let dropped = 0;
+        for (const t of targets) {
+            const dirs = t.ioQueue.clear();
+            t.state.invalidateFolderCache(new Set(dirs));
+            dropped += dirs.length;
+        }
+        return dropped;
+    }
+
+    function stopForBudget(budget) {
+        if (transfer.exhausted) return;
+        transfer.exhausted = budget;
+        saveDailyUsage();
+        const dropped = dropQueuedJobs();
+        log.warn(`[⏸] ${budget} used up. Stopping, ${dropped} queued job(s) are left for the next run.`);
+    }
+
+    // Resets the per-run budget; a used-up daily budget stops the run before it starts
+    function startTransferRun() {
+        transfer.runBytes = 0;
+        transfer.exhausted = null;
+        rollDay();
+        if (DAY_BUDGET_BYTES > 0 && transfer.dayBytes >= DAY_BUDGET_BYTES) {
+            transfer.exhausted = `Daily transfer budget (${formatMB(DAY_BUDGET_BYTES)})`;
+            log.warn(`[⏸] ${transfer.exhausted} already used up today, skipping this run.`);
+        }
+    }
+
+    // Token bucket: a chunk may overdraw it, later callers wait until it is positive again
+    function createRateLimiter(bytesPerSecond) {
+        let tokens = bytesPerSecond;
+        let last = Date.now();
+        return async (bytes) => {
+            for (;;) {
+                const now = Date.now();
+                tokens = Math.min(bytesPerSecond, tokens + (now - last) / 1000 * bytesPerSecond);
+                last = now;
+                if (tokens > 0) {
+                    tokens -= bytes;
+                    return;
+                }
+                await new Promise(r => setTimeout(r, Math.ceil(-tokens / bytesPerSecond * 1000)));
+            }
+        };
+    }
+
+    const throttle = BANDWIDTH_BYTES > 0 ? createRateLimiter(BANDWIDTH_BYTES) : null;
+
+    // Counts downloaded bytes (metrics and budgets) and applies BANDWIDTH_LIMIT. Throws once a budget is used up.
+    async function meterTransfer(t, bytes) {
+        if (throttle) await throttle(bytes);
+        if (transfer.exhausted) throw new TransferBudgetError(transfer.exhausted);
+
+        metrics.bytesDownloaded.inc({ target: t.name }, bytes);
+        rollDay();
+        transfer.runBytes += bytes;
+        transfer.dayBytes += bytes;
+
+        if (RUN_BUDGET_BYTES > 0 && transfer.runBytes >= RUN_BUDGET_BYTES) {
+            stopForBudget(`Per-run transfer budget (${formatMB(RUN_BUDGET_BYTES)})`);
+        } else if (DAY_BUDGET_BYTES > 0 && transfer.dayBytes >= DAY_BUDGET_BYTES) {
+            stopForBudget(`Daily transfer budget (${formatMB(DAY_BUDGET_BYTES)})`);
+        } else if (DAY_BUDGET_BYTES > 0 && Date.now() - transfer.savedAt > 10000) {
+            saveDailyUsage();
+        }
+    }
+
+    // Pass-through stream that meters every chunk (downloads and proxied ffmpeg streams)
+    const createMeter = (t) => new Transform({
+        transform(chunk, encoding, callback) {
+            meterTransfer(t, chunk.length).then(() => callback(null, chunk), callback);
+        }
+    });
+
+    // --- STREAM PROXY ---
+    // Video stage 1 hands ffmpeg/ffprobe a loopback URL instead of the WebDAV URL. The proxy answers their Range
+    // requests from 1 MB chunks it fetches with the target's credentials and keep-alive agents: every chunk is
+    // fetched once per job (ffprobe and ffmpeg read the same bytes), kept on disk in TEMP_DIR until the job releases
+    // the route, and retried on transient errors. The password never shows up on a command line and every fetched
+    // byte goes through the meter.
+
+    const PROXY_CHUNK_BYTES = 1024 * 1024;
+    const PROXY_RETRIES = 3;
+    const PROXY_RETRY_MS = 250;
+    const streamRoutes = new Map(); // id -> route, see openProxyStream()
+    let streamProxyPort = null; // Promise of the listening port, started on first use
+
+    // "bytes=a-b", "bytes=a-" or "bytes=-n" as an inclusive [start, end]; null if unsatisfiable
+    function parseRange(header, size) {
+        if (!header) return [0, size - 1];
+        const m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+        if (!m || (m[1] === "" && m[2] === "")) return null;
+        const [start, end] = m[1] === ""
+            ? [Math.max(0, size - parseInt(m[2])), size - 1]
+            : [parseInt(m[1]), m[2] === "" ? size - 1 : Math.min(parseInt(m[2]), size - 1)];
+        return start <= end && start < size ? [start, end] : null;
+    }
+
+    async function fetchChunk(route, index, userAgent) {
+        const { t, item } = route;
+        const start = index * PROXY_CHUNK_BYTES;
+        const end = Math.min(start + PROXY_CHUNK_BYTES, item.size) - 1;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const res = await axios.get(route.url, {
+                    auth: { username: t.user, password: t.pass },
+                    headers: {
+                        Range: `bytes=${start}-${end}`,
+                        // A changed file answers with 200 instead of mixing old and new chunks
+                        ...(item.etag && { "If-Range": `"${item.etag}"` }),
+                        ...(userAgent && { "User-Agent": userAgent })
+                    },
+                    httpAgent: t.httpAgent,
+                    httpsAgent: t.httpsAgent,
+                    responseType: "arraybuffer",
+                    maxContentLength: end - start + 1,
+                    timeout: DOWNLOAD_STALL_MS
+                });
+                if (res.status !== 206) throw new Error(`Range request answered with ${res.status}`);
+                const data = Buffer.from(res.data);
+                if (data.length !== end - start + 1) throw new Error(`Short chunk: ${data.length} of ${end - start + 1} bytes`);
+                await meterTransfer(t, data.length);
+                route.fetchedBytes += data.length;
+
+                const file = path.join(route.dir, String(index));
+                fs.mkdirSync(route.dir, { recursive: true });
+                fs.writeFileSync(file, data);
+                return file;
+            } catch (e) {
+                const transient = !(e instanceof TransferBudgetError) && (classifyError(e) === "transient" || /^Short chunk/.test(e.message));
+                if (!transient || attempt > PROXY_RETRIES) throw e;
+                log.debug(`${t.tag}[i] Stream proxy: retrying bytes ${start}-${end} (${e.message})`);
+                await new Promise(r => setTimeout(r, PROXY_RETRY_MS * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    // Concurrent readers of the same chunk share one fetch
+    function getChunk(route, index, userAgent) {
+        if (!route.chunks.has(index)) {
+            const pending = fetchChunk(route, index, userAgent);
+            route.chunks.set(index, pending);
+            pending.catch(() => route.chunks.delete(index));
+        }
+        return route.chunks.get(index);
+    }
+
+    async function proxyRequest(req, res) {
+        const route = streamRoutes.get(req.url.split("/")[1]);
+        if (!route || !["GET", "HEAD"].includes(req.method)) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        const size = route.item.size;
+        const range = parseRange(req.headers.range, size);
+        const headers = { "Content-Type": route.item.mime || "application/octet-stream", "Accept-Ranges": "bytes" };
+        if (!range) {
+            res.writeHead(size === 0 && !req.headers.range ? 200 : 416, { ...headers, "Content-Range": `bytes */${size}`, "Content-Length": 0 }).end();
+            return;
+        }
+        const [start, end] = range;
+        // ffmpeg drops the connection whenever it seeks
+        let closed = false;
+        res.on("close", () => { closed = true; });
+
+        try {
+            // The first chunk is fetched before answering, so a failing upstream shows up as an HTTP error for ffmpeg
+            const first = Math.floor(start / PROXY_CHUNK_BYTES);
+            let file = await getChunk(route, first, req.headers["user-agent"]);
+            res.writeHead(req.headers.range ? 206 : 200, {
+                ...headers,
+                "Content-Length": end - start + 1,
+                ...(req.headers.range && { "Content-Range": `bytes ${start}-${end}/${size}` })
+            });
+            if (req.method === "HEAD") {
+                res.end();
+                return;
+            }
+            for (let index = first; index <= Math.floor(end / PROXY_CHUNK_BYTES) && !closed; index++) {
+                if (index > first) file = await getChunk(route, index, req.headers["user-agent"]);
+                const chunkStart = index * PROXY_CHUNK_BYTES;
+                const data = fs.readFileSync(file).subarray(Math.max(start, chunkStart) - chunkStart, Math.min(end, chunkStart + PROXY_CHUNK_BYTES - 1) - chunkStart + 1);
+                route.servedBytes += data.length;
+                if (!res.write(data)) await new Promise(r => res.once("drain", r).once("close", r));
+            }
+            res.end();
+        } catch (e) {
+            if (closed) return;
+            if (!res.headersSent) res.writeHead(e.response?.status ?? 502).end();
+            else res.destroy();
+        }
+    }
+
+    function getStreamProxyPort() {
+        streamProxyPort ??= new Promise((resolve, reject) => {
+            const server = http.createServer(proxyRequest);
+            server.on("error", reject);
+            server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+            server.unref();
+            servers.push(server);
+        });
+        return streamProxyPort;
+    }
+
+    // Registers a remote file with the proxy. Returns the loopback URL for ffmpeg and release(), which unregisters
+    // it, drops its chunks and resolves with { fetchedBytes, servedBytes }.
+    async function openProxyStream(t, item) {
+        const port = await getStreamProxyPort();
+        const id = crypto.randomUUID();
+        const url = remoteFileUrl(t, item.filename);
+        const route = { t, item, url, dir: path.join(TEMP_DIR, `proxy_${id}`), chunks: new Map(), fetchedBytes: 0, servedBytes: 0 };
+        streamRoutes.set(id, route);
+        // The file name stays at the end of the URL as a format hint for ffmpeg
+        return {
+            url: `http://127.0.0.1:${port}/${id}/${encodeURIComponent(path.posix.basename(new URL(url).pathname))}`,
+            async release() {
+                streamRoutes.delete(id);
+                // Let running fetches land before their directory goes
+                await Promise.allSettled(route.chunks.values());
+                fs.rmSync(route.dir, { recursive: true, force: true });
+                return { fetchedBytes: route.fetchedBytes, servedBytes: route.servedBytes };
+            }
+        };
+    }
+
+    // --- SOURCE CACHE ---
+    // SOURCE_CACHE_SIZE keeps complete downloads in TEMP_DIR/source-cache and evicts the least recently used
+    // ones beyond that size, so --force runs and new output variants don't fetch big files again. Entries are
+    // keyed by target, path and etag (a changed file is a miss) and handed to jobs as hard links.
+
+    const SOURCE_CACHE_BYTES = parseByteSize("SOURCE_CACHE_SIZE", SOURCE_CACHE_SIZE);
+    const SOURCE_CACHE_DIR = SOURCE_CACHE_BYTES > 0 ? path.join(TEMP_DIR, "source-cache") : null;
+
+    function sourceCachePath(t, item) {
+        const version = item.etag || `${item.size}-${item.lastmod}`;
+        const key = crypto.createHash("sha1").update(`${t.url}\n${item.filename}\n${version}`).digest("hex");
+        return path.join(SOURCE_CACHE_DIR, key + path.extname(item.filename).toLowerCase());
+    }
+
+    const hasCachedSource = (t, item) => SOURCE_CACHE_BYTES > 0 && fs.existsSync(sourceCachePath(t, item));
+
+    // Hard link, or a copy where the file system has none
+    function linkOrCopy(from, to) {
+        try {
+            fs.linkSync(from, to);
+        } catch (e) {
+            fs.copyFileSync(from, to);
+        }
+    }
+
+    // Puts the cached copy of item at dest; false on a miss
+    function restoreCachedSource(t, item, dest) {
+        if (!hasCachedSource(t, item)) return false;
+        const cached = sourceCachePath(t, item);
+        try {
+            // mtime is the LRU clock
+            const now = new Date();
+            fs.utimesSync(cached, now, now);
+            fs.rmSync(dest, { force: true });
+            linkOrCopy(cached, dest);
+            return true;
+        } catch (e) {
+            // Evicted by a parallel job in the meantime
+            return false;
+        }
+    }
+
+    // Adds file to the cache if it holds all of item, then trims the cache to SOURCE_CACHE_SIZE
+    function cacheSource(t, item, file) {
+        if (SOURCE_CACHE_BYTES === 0 || item.size > SOURCE_CACHE_BYTES || fs.statSync(file).size !== item.size) return;
+        const cached = sourceCachePath(t, item);
+        fs.mkdirSync(SOURCE_CACHE_DIR, { recursive: true });
+        if (!fs.existsSync(cached)) linkOrCopy(file, cached);
+
+        const entries = fs.readdirSync(SOURCE_CACHE_DIR)
+            .map(name => ({ file: path.join(SOURCE_CACHE_DIR, name), ...fs.statSync(path.join(SOURCE_CACHE_DIR, name)) }))
+            .sort((a, b) => a.mtimeMs - b.mtimeMs);
+        let total = entries.reduce((sum, e) => sum + e.size, 0);
+        for (const entry of entries) {
+            if (total <= SOURCE_CACHE_BYTES) break;
+            fs.rmSync(entry.file, { force: true });
+            total -= entry.size;
+        }
+    }
+
+    // --- TOOLS ---
+
+    // Per-process limit for ffmpeg/ffprobe and the other decoders; a stalled remote stream would otherwise
+    // hold its ffmpegQueue slot forever. 0 disables it.
+    const TOOL_TIMEOUT_MS = (FFMPEG_TIMEOUT_SECONDS === undefined || FFMPEG_TIMEOUT_SECONDS === "" ? 600 : parseFloat(FFMPEG_TIMEOUT_SECONDS)) * 1000;
+
+    // Runs a CLI tool and resolves with its stdout. Used for ffprobe and the non-video decoders.
+    function runTool(cmd, args, { encoding = "utf-8" } = {}) {
+        return new Promise((resolve, reject) => {
+            const started = Date.now();
+            const proc = spawn(cmd, args);
+            const out = [];
+            let err = '';
+            let timedOut = false;
+            const timer = TOOL_TIMEOUT_MS > 0 ? setTimeout(() => {
+                timedOut = true;
+                proc.kill('SIGKILL');
+            }, TOOL_TIMEOUT_MS) : null;
+            proc.stdout.on('data', d => out.push(d));
+            proc.stderr.on('data', d => err += d);
+            proc.on('close', code => {
+                clearTimeout(timer);
+                observeTool(path.basename(cmd), started);
+                const stdout = Buffer.concat(out);
+                if (timedOut) reject(new Error(`${cmd} timed out after ${TOOL_TIMEOUT_MS / 1000}s`));
+                else if (code === 0) resolve(encoding ? stdout.toString(encoding) : stdout);
+                else reject(new Error(`${cmd} exit code ${code}. ${err.trim().split("\n").pop() || ""}`.trim()));
+            });
+            proc.on('error', e => {
+                clearTimeout(timer);
+                reject(e.code === 'ENOENT' ? new Error(`${cmd} not found in PATH`) : e);
+            });
+        });
+    }
+
+    // webdav's read stream neither ends nor errors when the connection drops mid-body, so a download that
+    // stops making progress is aborted (and resumed by the next attempt)
+    const DOWNLOAD_STALL_MS = 60 * 1000;
+
+    // Downloads item to dest, up to byte `end` (inclusive) if given. Bytes already in dest (an earlier attempt, or
+    // stage 2 before stage 3) are kept and only the rest is requested; If-Range makes the server answer with the
+    // whole file instead of 206 if it changed in between.
+    const attemptDownload = async (t, item, dest, { end } = {}, retries = 5) => {
+        for (let i = 0; i < retries; i++) {
+            const have = fs.existsSync(dest) ? fs.statSync(dest).size : 0;
+            if ((item.size > 0 && have >= item.size) || (end !== undefined && have > end)) return;
+
+            try {
+                const options = {};
+                if (have > 0 || end !== undefined) options.range = { start: have, end };
+                if (have > 0 && item.etag) options.headers = { "If-Range": `"${item.etag}"` };
+                const downloadStream = t.dav.createReadStream(item.filename, options);
+                // Counts, throttles and enforces the transfer budgets
+                const progressMonitor = createMeter(t);
+                const file = fs.createWriteStream(dest, { flags: "a" });
+                let written = -1;
+                const watchdog = setInterval(() => {
+                    if (file.bytesWritten === written) downloadStream.destroy(new Error(`Download stalled for ${DOWNLOAD_STALL_MS / 1000}s`));
+                    written = file.bytesWritten;
+                }, DOWNLOAD_STALL_MS);
+                try {
+                    await pipeline(downloadStream, progressMonitor, file);
+                } finally {
+                    clearInterval(watchdog);
+                }
+                return;
+            } catch (e) {
+                // 200 instead of 206: the file changed since the first bytes, so start over
+                if (e.status === 200) fs.truncateSync(dest, 0);
+                // A used-up budget won't recover by retrying
+                if (e instanceof TransferBudgetError || i === retries - 1) throw e;
+                await new Promise(r => setTimeout(r, (i + 1) * 5000));
+            }
+        }
+    };
+
+    // Full download guarded by MAX_VIDEO_SIZE_MB. Returns false (and counts the skip) if the file is too big.
+    // A source cache hit costs nothing, so the limit doesn't apply to it.
+    async function downloadFull(t, item, relPath, dest) {
+        if (restoreCachedSource(t, item, dest)) {
+            log.info(`${t.tag}[i] Using cached source for ${relPath}`);
+            return true;
+        }
+        if (item.size > MAX_SIZE_BYTES) {
+            log.info(`${t.tag}[Skip] Too large for fallback (${(item.size / 1024 / 1024).toFixed(2)} MB): ${relPath}`);
+            t.stats.skippedSizeList.push(`${relPath} (${(item.size / 1024 / 1024).toFixed(2)} MB)`);
+            skipFile(t, relPath, item, "size");
+            return false;
+        }
+        await attemptDownload(t, item, dest);
+        cacheSource(t, item, dest);
+        return true;
+    }
+
+    // --- PROBE & METADATA ---
+    // Every video input is probed with -show_format -show_streams. The streams give the rotation, which the
+    // render steps apply themselves; the rest becomes the file's metadata. VIDEO_METADATA=true stores it in the
+    // state database and sends it with the upload, if the server advertises the `metadata` capability.
+
+    const SEND_METADATA = VIDEO_METADATA === "true";
+
+    // Clockwise degrees (0, 90, 180, 270) the picture has to be turned for display. Like ffmpeg's own autorotate:
+    // the legacy `rotate` tag wins, otherwise the display matrix, whose ffprobe `rotation` is counter-clockwise.
+    function streamRotation(stream) {
+        const tag = parseFloat(stream?.tags?.rotate);
+        const matrix = stream?.side_data_list?.find(s => s.rotation !== undefined)?.rotation;
+        const degrees = !isNaN(tag) && tag !== 0 ? tag : -(parseFloat(matrix) || 0);
+        return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+    }
+
+    // ISO 6709 ("+48.8577+002.2950+035.000/") as written by phones into the `location` tags
+    function parseIso6709(value) {
+        const m = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value || "");
+        if (!m) return null;
+        const location = { latitude: parseFloat(m[1]), longitude: parseFloat(m[2]) };
+        if (m[3] !== undefined) location.altitude = parseFloat(m[3]);
+        return location;
+    }
+
+    // ffprobe JSON -> { duration, rotation, metadata }. Width/height in the metadata are the displayed ones.
+    function parseProbe(stdout) {
+        const probe = JSON.parse(stdout);
+        if (!probe.format) throw new Error("No format detected");
+        const streams = probe.streams || [];
+        // Cover art shows up as a video stream as well
+        const video = streams.find(s => s.codec_type === "video" && !s.disposition?.attached_pic);
+        const audio = streams.find(s => s.codec_type === "audio");
+        const tags = { ...video?.tags, ...probe.format.tags };
+
+        const duration = parseFloat(probe.format.duration) || 0;
+        const rotation = streamRotation(video);
+        const sideways = rotation === 90 || rotation === 270;
+        const creation = tags["com.apple.quicktime.creationdate"] || tags.creation_time;
+        const metadata = {
+            duration,
+            width: (sideways ? video?.height : video?.width) ?? null,
+            height: (sideways ? video?.width : video?.height) ?? null,
+            videoCodec: video?.codec_name ?? null,
+            audioCodec: audio?.codec_name ?? null,
+            bitrate: parseInt(probe.format.bit_rate) || null,
+            rotation,
+            creationTime: creation && !isNaN(Date.parse(creation)) ? new Date(creation).toISOString() : null,
+            location: parseIso6709(tags["com.apple.quicktime.location.ISO6709"] || tags.location || tags["location-eng"])
+        };
+        return { duration, rotation, metadata };
+    }
+
+    // Via runTool rather than ffmpeg.ffprobe() so the probe is covered by FFMPEG_TIMEOUT_SECONDS as well
+    async function probeVideo(input, extraArgs = []) {
+        let stdout;
+        try {
+            stdout = await runTool('ffprobe', ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', ...extraArgs, input]);
+        } catch (err) {
+            throw new Error(`Probe failed: ${err.message}`);
+        }
+        return parseProbe(stdout);
+    }
+
+    // Rather than rely on ffmpeg's autorotate, which depends on the build and the container, the render steps
+    // turn the picture themselves: `-noautorotate` before the input and these filters first in the chain.
+    const ROTATION_FILTERS = { 90: ["transpose=clock"], 180: ["hflip", "vflip"], 270: ["transpose=cclock"] };
+    const rotationFilters = (rotation) => ROTATION_FILTERS[rotation] ?? [];
+    const withRotation = (rotation, filter) => [...rotationFilters(rotation), filter].join(",");
+
+    // --- FRAME SELECTION ---
+    // fixed:   the classic 50/40/30/20/10/5-second ladder (fastest)
+    // percent: FRAME_PERCENT of the duration
+    // smart:   scores SMART_FRAME_SAMPLES candidates, rejects near-black/uniform frames, keeps the most detailed
+
+    const FRAME_STRATEGIES = ["fixed", "percent", "smart"];
+    const FRAME_MODE = (FRAME_STRATEGY || "fixed").toLowerCase();
+    if (!FRAME_STRATEGIES.includes(FRAME_MODE)) {
+        throw new ConfigError(`Invalid FRAME_STRATEGY "${FRAME_STRATEGY}". Use ${FRAME_STRATEGIES.join(", ")}.`);
+    }
+    const FRAME_PCT = Math.min(100, Math.max(0, parseFloat(FRAME_PERCENT) || 10));
+    const SMART_SAMPLES = Math.max(2, parseInt(SMART_FRAME_SAMPLES) || 6);
+
+    // Frames darker than this average luma, or with less spread between the 10th and 90th percentile, are rejected
+    const MIN_LUMA_AVG = 32;
+    const MIN_LUMA_SPREAD = 20;
+
+    function fixedTimestamp(duration) {
+        if (duration > 50) return 50;
+        if (duration > 40) return 40;
+        if (duration > 30) return 30;
+        if (duration > 20) return 20;
+        if (duration > 10) return 10;
+        if (duration > 5) return 5;
+        return Math.max(0, duration * 0.2);
+    }
+
+    // Decodes a single downscaled frame and reads signalstats/entropy from the metadata filter
+    async function scoreFrame(input, time) {
+        const stdout = await runTool('ffmpeg', [
+            '-v', 'error',
+            '-ss', String(time), '-i', input,
+            '-frames:v', '1',
+            '-vf', 'scale=320:-2,signalstats,entropy,metadata=mode=print:file=-',
+            '-threads', String(threadCount()),
+            '-f', 'null', '-'
+        ]);
+
+        // Only the first frame's block counts; the filter chain may flush one more
+        const values = {};
+        for (const line of stdout.split("\n").slice(1)) {
+            if (line.startsWith("frame:")) break;
+            const [key, value] = line.trim().split("=");
+            if (value !== undefined) values[key] = parseFloat(value);
+        }
+
+        const avg = values["lavfi.signalstats.YAVG"];
+        const spread = values["lavfi.signalstats.YHIGH"] - values["lavfi.signalstats.YLOW"];
+        const entropy = values["lavfi.entropy.normalized_entropy.normal.Y"];
+        if ([avg, spread, entropy].some(v => v === undefined || isNaN(v))) throw new Error("No frame decoded");
+
+        const usable = avg >= MIN_LUMA_AVG && spread >= MIN_LUMA_SPREAD;
+        return { time, usable, score: entropy + spread / 255 };
+    }
+
+    // The timestamps chooseTimestamp() picks from (a single one unless FRAME_STRATEGY=smart)
+    function frameCandidates(duration) {
+        if (FRAME_MODE === "fixed" || !(duration > 0)) return [fixedTimestamp(duration)];
+        if (FRAME_MODE === "percent") return [duration * FRAME_PCT / 100];
+
+        // Spread the candidates over 5%..80% to stay clear of intros and end credits
+        const candidates = [];
+        for (let i = 0; i < SMART_SAMPLES; i++) {
+            candidates.push(+(duration * (0.05 + 0.75 * i / (SMART_SAMPLES - 1))).toFixed(3));
+        }
+        return candidates;
+    }
+
+    async function chooseTimestamp(input, duration) {
+        const candidates = frameCandidates(duration);
+        if (candidates.length === 1) return candidates[0];
+
+        const scored = [];
+        for (const time of candidates) {
+            try {
+                scored.push(await scoreFrame(input, time));
+            } catch (e) {
+                // Partial downloads can't seek past their end; just skip the candidate
+            }
+        }
+        if (scored.length === 0) return fixedTimestamp(duration);
+
+        // Prefer usable frames, fall back to the least bad one if everything is dark or flat
+        const pool = scored.some(c => c.usable) ? scored.filter(c => c.usable) : scored;
+        return pool.reduce((best, c) => c.score > best.score ? c : best).time;
+    }
+
+    // Resolves with the timestamp used
+    const generateThumbnail = async (input, duration, output, rotation = 0) => {
+        const time = await chooseTimestamp(input, duration);
+        const threads = String(threadCount());
+
+        await runTool('ffmpeg', [
+            '-v', 'error', '-y', '-noautorotate', '-threads', threads,
+            '-ss', String(time), '-i', input,
+            '-frames:v', '1', '-vf', withRotation(rotation, `scale=${THUMB_WIDTH}:-2`),
+            '-threads', threads,
+            output
+        ]);
+        // Seeking past the end of a partial download exits cleanly without writing a frame
+        if (!fs.existsSync(output)) throw new Error(`No frame decoded at ${time}s`);
+        return time;
+    };
+
+    // Scales a local still image to the thumbnail size with ffmpeg
+    const resizeImage = (input, output) => runTool('ffmpeg', [
+        '-v', 'error', '-y', '-i', input,
+        '-vf', `scale='min(${THUMB_WIDTH},iw)':-2`,
+        '-frames:v', '1', '-threads', String(threadCount()),
+        output
+    ]);
+
+    // --- ISO-BMFF (MP4/MOV) ---
+    // Phone and camera MP4s usually keep the `moov` index behind the media data, so the first 100MB are useless.
+    // Instead a few tiny Range reads walk the top-level boxes, `moov` is fetched whole, and its sample tables
+    // tell which bytes hold the keyframe and following frames for every timestamp the render step will decode.
+    // Those go into a sparse file of the original size that ffmpeg reads like the real thing.
+
+    const ISO_FIRST_BOXES = ["ftyp", "moov", "mdat", "free", "skip", "wide", "pnot"];
+    const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+    const MAX_WINDOW_BYTES = 64 * 1024 * 1024;
+    // Top-level boxes up to this size (ftyp, free, uuid, ...) are copied whole, the rest only by header
+    const SMALL_BOX_BYTES = 64 * 1024;
+    // Frames fetched past each wanted timestamp, for decoders that buffer a few before their first output
+    const TAIL_SAMPLES = 16;
+
+    // Plain HTTP range read (metered). Refuses anything but a 206 so a server ignoring Range can't send gigabytes.
+    async function readRange(t, item, start, end) {
+        const res = await axios.get(remoteFileUrl(t, item.filename), {
+            auth: { username: t.user, password: t.pass },
+            headers: { Range: `bytes=${start}-${end}` },
+            httpAgent: t.httpAgent,
+            httpsAgent: t.httpsAgent,
+            responseType: "arraybuffer",
+            maxContentLength: end - start + 1,
+            timeout: DOWNLOAD_STALL_MS
+        });
+        if (res.status !== 206) throw new Error(`Range request answered with ${res.status}`);
+        const data = Buffer.from(res.data);
+        await meterTransfer(t, data.length);
+        return data;
+    }
+
+    // Child boxes of buf[start, end): { type, start, data (payload offset), end }
+    function parseBoxes(buf, start = 0, end = buf.length) {
+        const boxes = [];
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = buf.readUInt32BE(offset);
+            let header = 8;
+            if (size === 1) {
+                size = Number(buf.readBigUInt64BE(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < header || offset + size > end) break;
+            boxes.push({ type: buf.toString("latin1", offset + 4, offset + 8), start: offset, data: offset + header, end: offset + size });
+            offset += size;
+        }
+        return boxes;
+    }
+
+    const findBox = (buf, parent, ...types) => types.reduce((box, type) => box && parseBoxes(buf, box.data, box.end).find(b => b.type === type), parent);
+
+    // mvhd/mdhd: version 1 has 64-bit times, so timescale and duration sit further back
+    const readTimescale = (buf, box) => buf.readUInt32BE(box.data + (buf[box.data] === 1 ? 20 : 12));
+    const readDuration = (buf, box) => buf[box.data] === 1 ? Number(buf.readBigUInt64BE(box.data + 24)) : buf.readUInt32BE(box.data + 16);
+
+    // Walks the top-level boxes with one small read each until moov and mdat are known. null if not ISO-BMFF.
+    async function scanTopLevelBoxes(t, item) {
+        const boxes = [];
+        for (let offset = 0; offset + 8 <= item.size;) {
+            const head = await readRange(t, item, offset, Math.min(offset + 15, item.size - 1));
+            const type = head.toString("latin1", 4, 8);
+            if (boxes.length === 0 && !ISO_FIRST_BOXES.includes(type)) return null;
+
+            let size = head.readUInt32BE(0);
+            let header = 8;
+            if (size === 1 && head.length === 16) {
+                size = Number(head.readBigUInt64BE(8));
+                header = 16;
+            } else if (size === 0) {
+                size = item.size - offset;
+            }
+            if (size < header || offset + size > item.size) throw new Error(`Broken ${type} box at byte ${offset}`);
+
+            const small = type !== "moov" && type !== "mdat" && size <= SMALL_BOX_BYTES;
+            boxes.push({ type, start: offset, end: offset + size, bytes: small ? await readRange(t, item, offset, offset + size - 1) : head.subarray(0, header) });
+            if (boxes.some(b => b.type === "moov") && boxes.some(b => b.type === "mdat")) break;
+            offset += size;
+        }
+        return boxes;
+    }
+
+    // Sample offsets, sizes, times (seconds) and keyframes of a video trak; null for other tracks.
+    // Times are decode time + composition offset + an initial empty edit. A media_time in the edit list would move
+    // them earlier and is left out on purpose: overestimating only makes the fetched window start a bit sooner.
+    function readVideoTrack(m, trak, movieTimescale) {
+        const mdhd = findBox(m, trak, "mdia", "mdhd");
+        const hdlr = findBox(m, trak, "mdia", "hdlr");
+        if (!mdhd || !hdlr || m.toString("latin1", hdlr.data + 8, hdlr.data + 12) !== "vide") return null;
+        const timescale = readTimescale(m, mdhd);
+
+        const stbl = findBox(m, trak, "mdia", "minf", "stbl");
+        const box = (type) => stbl && findBox(m, stbl, type);
+        const stts = box("stts"), ctts = box("ctts"), stss = box("stss"), stsc = box("stsc");
+        const stsz = box("stsz"), stz2 = box("stz2"), stco = box("stco") || box("co64");
+        if (!timescale || !stts || !stsc || !stco || !(stsz || stz2)) return null;
+
+        const sizes = [];
+        if (stsz) {
+            const fixed = m.readUInt32BE(stsz.data + 4);
+            const count = m.readUInt32BE(stsz.data + 8);
+            for (let i = 0; i < count; i++) sizes.push(fixed || m.readUInt32BE(stsz.data + 12 + i * 4));
+        } else {
+            const bits = m[stz2.data + 7];
+            const count = m.readUInt32BE(stz2.data + 8);
+            const p = stz2.data + 12;
+            for (let i = 0; i < count; i++) {
+                sizes.push(bits === 4 ? (m[p + (i >> 1)] >> (i % 2 ? 0 : 4)) & 0xf : bits === 8 ? m[p + i] : m.readUInt16BE(p + i * 2));
+            }
+        }
+        const count = sizes.length;
+
+        // stsc maps chunks (stco/co64) to sample counts; samples within a chunk are contiguous
+        const co64 = stco.type === "co64";
+        const chunkCount = m.readUInt32BE(stco.data + 4);
+        const chunkOffset = (c) => co64 ? Number(m.readBigUInt64BE(stco.data + 8 + c * 8)) : m.readUInt32BE(stco.data + 8 + c * 4);
+        const offsets = new Array(count);
+        const stscCount = m.readUInt32BE(stsc.data + 4);
+        let sample = 0;
+        for (let e = 0; e < stscCount; e++) {
+            const p = stsc.data + 8 + e * 12;
+            const perChunk = m.readUInt32BE(p + 4);
+            const lastChunk = e + 1 < stscCount ? m.readUInt32BE(p + 12) - 1 : chunkCount;
+            for (let c = m.readUInt32BE(p) - 1; c < lastChunk && sample < count; c++) {
+                let offset = chunkOffset(c);
+                for (let s = 0; s < perChunk && sample < count; s++) {
+                    offsets[sample] = offset;
+                    offset += sizes[sample++];
+                }
+            }
+        }
+
+        const ticks = new Array(count).fill(0);
+        const runs = (b, fn) => {
+            let i = 0;
+            for (let e = 0; e < m.readUInt32BE(b.data + 4); e++) {
+                const n = m.readUInt32BE(b.data + 8 + e * 8);
+                for (let k = 0; k < n && i < count; k++) fn(i++, b.data + 12 + e * 8);
+            }
+        };
+        let dts = 0;
+        runs(stts, (i, p) => {
+            ticks[i] = dts;
+            dts += m.readUInt32BE(p);
+        });
+        if (ctts) runs(ctts, (i, p) => ticks[i] += Math.max(0, m.readInt32BE(p)));
+
+        let delay = 0;
+        const elst = findBox(m, trak, "edts", "elst");
+        if (elst && m.readUInt32BE(elst.data + 4) > 0) {
+            const v1 = m[elst.data] === 1;
+            const mediaTime = v1 ? Number(m.readBigInt64BE(elst.data + 16)) : m.readInt32BE(elst.data + 12);
+            const segment = v1 ? Number(m.readBigUInt64BE(elst.data + 8)) : m.readUInt32BE(elst.data + 8);
+            if (mediaTime === -1) delay = segment / movieTimescale;
+        }
+
+        const keyframes = [];
+        if (stss) {
+            for (let e = 0; e < m.readUInt32BE(stss.data + 4); e++) keyframes.push(m.readUInt32BE(stss.data + 8 + e * 4) - 1);
+        }
+        return { offsets, sizes, times: ticks.map(v => v / timescale + delay), keyframes: stss ? keyframes : null };
+    }
+
+    // Byte range [start, end) covering the keyframe ffmpeg seeks to for `from` and every frame until `to`
+    function sampleWindow(track, from, to) {
+        const { offsets, sizes, times, keyframes } = track;
+        let first = keyframes ? keyframes[0] : 0;
+        for (const k of keyframes ?? times.keys()) {
+            if (times[k] <= from && times[k] >= times[first]) first = k;
+        }
+        let last = first;
+        for (let i = first; i < times.length; i++) {
+            if (times[i] <= to) last = i;
+        }
+        last = Math.min(times.length - 1, last + TAIL_SAMPLES);
+
+        let start = Infinity, end = 0;
+        for (let i = first; i <= last; i++) {
+            start = Math.min(start, offsets[i]);
+            end = Math.max(end, offsets[i] + sizes[i]);
+        }
+        return { start, end };
+    }
+
+    function mergeWindows(windows) {
+        const merged = [];
+        for (const w of [...windows].sort((a, b) => a.start - b.start)) {
+            const prev = merged[merged.length - 1];
+            if (prev && w.start <= prev.end) prev.end = Math.max(prev.end, w.end);
+            else merged.push({ ...w });
+        }
+        return merged;
+    }
+
+    // [from, to] spans (seconds) the video render step decodes: frame candidates (plus the fixed fallback of
+    // "smart"), the animation after them and the contact sheet tiles
+    function renderSpans(duration) {
+        const times = frameCandidates(duration);
+        if (times.length > 1) times.push(fixedTimestamp(duration));
+        const animation = ANIMATION_FORMAT !== "off" ? ANIMATION_SECS : 0;
+        return [
+            ...times.map(time => [time, time + animation]),
+            ...(SHEET_GRID ? contactSheetTimes(duration).map(time => [time, time]) : [])
+        ];
+    }
+
+    // Writes a sparse copy of item to dest with every top-level box header, moov and the samples for renderSpans().
+    // Returns { bytes }, or null if item isn't a (non-fragmented) ISO-BMFF file with a video track.
+    async function fetchIsoSamples(t, item, dest) {
+        const top = await scanTopLevelBoxes(t, item);
+        const moovBox = top?.find(b => b.type === "moov");
+        if (!moovBox) return null;
+        if (moovBox.end - moovBox.start > MAX_MOOV_BYTES) throw new Error(`moov box too large (${formatMB(moovBox.end - moovBox.start)})`);
+
+        const moov = await readRange(t, item, moovBox.start, moovBox.end - 1);
+        const [root] = parseBoxes(moov);
+        const mvhd = findBox(moov, root, "mvhd");
+        if (!mvhd) return null;
+        const movieTimescale = readTimescale(moov, mvhd);
+        const duration = readDuration(moov, mvhd) / movieTimescale;
+
+        // Fragmented files keep their samples in moof boxes and have empty tables here
+        const track = parseBoxes(moov, root.data, root.end)
+            .filter(b => b.type === "trak")
+            .map(trak => readVideoTrack(moov, trak, movieTimescale))
+            .find(track => track?.times.length > 0);
+        if (!track) return null;
+
+        const windows = mergeWindows(renderSpans(duration).map(([from, to]) => sampleWindow(track, from, to)));
+        const tooBig = windows.find(w => w.end - w.start > MAX_WINDOW_BYTES);
+        if (tooBig) throw new Error(`Sample range too large (${formatMB(tooBig.end - tooBig.start)})`);
+
+        let bytes = top.reduce((sum, b) => sum + b.bytes.length, moov.length);
+        const fd = fs.openSync(dest, "w");
+        try {
+            // Unwritten regions stay holes and take no disk space
+            fs.ftruncateSync(fd, item.size);
+            for (const box of top) fs.writeSync(fd, box.bytes, 0, box.bytes.length, box.start);
+            fs.writeSync(fd, moov, 0, moov.length, moovBox.start);
+            for (const w of windows) {
+                const data = await readRange(t, item, w.start, w.end - 1);
+                fs.writeSync(fd, data, 0, data.length, w.start);
+                bytes += data.length;
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return { bytes };
+    }
+
+    // --- GENERATORS ---
+    // Each generator turns one remote file into `ctx.localThumb` (a JPEG, THUMB_WIDTH wide).
+    // ctx: { target, relPath, localSource (temp path for downloads), localThumb, extras (extra upload files) }.
+    // Generators that know the file's metadata (video: parseProbe()) put it into ctx.metadata.
+    // Returning without writing localThumb means "skipped" (e.g. too large), throwing means "failed".
+
+    const videoGenerator = {
+        name: "video",
+        extensions: [".mp4", ".m4v", ".mov", ".avi", ".mkv", ".wmv"],
+        mimeTypes: ["video/*"],
+
+        // 3-Stage Process
+        async generate(item, ctx) {
+            const { target, relPath, localSource, localThumb } = ctx;
+            const { tag } = target;
+            const countStage = (stage, result) => metrics.videoStages.inc({ target: target.name, stage, result });
+            const enterStage = (stage) => emit("stage", { target: target.name, path: relPath, stage });
+
+            // FFmpeg work always goes through the shared ffmpegQueue (FFMPEG_CONCURRENCY slots)
+            const render = async (input, probe) => {
+                const time = await ffmpegQueue.add(() => generateThumbnail(input, probe.duration, localThumb, probe.rotation));
+                await renderVideoExtras(input, probe, time, ctx);
+                ctx.metadata = probe.metadata;
+            };
+
+            // A complete copy in the source cache beats every remote stage
+            if (restoreCachedSource(target, item, localSource)) {
+                log.info(`${tag}[▶] Using cached source for ${relPath}`);
+                enterStage("cache");
+                const probe = await ffmpegQueue.add(() => probeVideo(localSource));
+                await render(localSource, probe);
+                countStage("cache", "success");
+                return;
+            }
+
+            // Stage 1: Remote Stream (Efficient)
+            let stream = null;
+            try {
+                log.info(`${tag}[▶] Attempt 1: Remote Stream (Efficient) for ${relPath}`);
+                enterStage("1");
+
+                // ffmpeg reads through the loopback proxy, which adds the credentials: nothing secret on its command line
+                stream = await openProxyStream(target, item);
+
+                // Probe tuned for remote streams
+                const probe = await ffmpegQueue.add(() => probeVideo(stream.url, ['-analyzeduration', '20M', '-probesize', '20M']));
+
+                await render(stream.url, probe);
+                countStage("1", "success");
+                return; // Success!
+            } catch (err) {
+                // The proxy cut the stream: no point in downloading instead
+                if (transfer.exhausted) throw new TransferBudgetError(transfer.exhausted);
+                countStage("1", "failure");
+                log.info(`${tag}[!] Remote stream failed (${err.message}). Falling back...`);
+            } finally {
+                if (stream) {
+                    const { fetchedBytes, servedBytes } = await stream.release();
+                    log.info(`${tag}[i] Stage 1 fetched ${fetchedBytes} bytes (${formatMB(fetchedBytes)} of ${formatMB(item.size)}) for ${relPath}, ffmpeg/ffprobe read ${servedBytes} bytes`);
+                }
+            }
+
+            // Stage 2: Partial Download. MP4/MOV: only moov and the samples to decode, otherwise the first 100MB.
+            const sparseSource = localSource.replace(/(\.[^./]*)?$/, "_sparse$1");
+            try {
+                log.info(`${tag}[▶] Attempt 2: Partial Download for ${relPath}`);
+                enterStage("2");
+                try {
+                    const iso = await fetchIsoSamples(target, item, sparseSource);
+                    if (iso) {
+                        log.info(`${tag}[i] moov-aware fetch: ${formatMB(iso.bytes)} of ${formatMB(item.size)}`);
+                        // The sparse file holds the whole moov: probing it reads nothing remote
+                        const probe = await ffmpegQueue.add(() => probeVideo(sparseSource));
+                        await render(sparseSource, probe);
+                        countStage("2", "success");
+                        return; // Success!
+                    }
+                } catch (err) {
+                    if (err instanceof TransferBudgetError) throw err;
+                    log.info(`${tag}[!] moov-aware fetch failed (${err.message}), trying the first 100MB...`);
+                } finally {
+                    fs.rmSync(sparseSource, { force: true });
+                }
+
+                await attemptDownload(target, item, localSource, { end: PARTIAL_DOWNLOAD_BYTES });
+                // Small files arrive in full here
+                cacheSource(target, item, localSource);
+
+                const probe = await ffmpegQueue.add(() => probeVideo(localSource));
+                await render(localSource, probe);
+                countStage("2", "success");
+                return; // Success!
+            } catch (err) {
+                if (err instanceof TransferBudgetError) throw err;
+                countStage("2", "failure");
+                log.info(`${tag}[!] Partial processing failed (${err.message}). Falling back...`);
+            }
+
+            // Stage 3: Full Download (Last Resort), continuing after stage 2's bytes
+            log.info(`${tag}[▶] Attempt 3: Full Download for ${relPath}`);
+            enterStage("3");
+            if (!await downloadFull(target, item, relPath, localSource)) return;
+            try {
+                const probe = await ffmpegQueue.add(() => probeVideo(localSource));
+                await render(localSource, probe);
+                countStage("3", "success");
+            } catch (err) {
+                countStage("3", "failure");
+                throw err;
+            }
+        }
+    };
+
+    // Camera RAW: extract the embedded JPEG preview with exiftool instead of demosaicing
+    const rawGenerator = {
+        name: "raw",
+        extensions: [".cr2", ".cr3", ".nef", ".arw", ".dng", ".orf", ".rw2", ".raf", ".pef", ".srw"],
+        mimeTypes: ["image/x-dcraw", "image/x-canon-cr2", "image/x-nikon-nef", "image/x-sony-arw", "image/x-adobe-dng"],
+
+        async generate(item, { target, relPath, localSource, localThumb }) {
+            log.info(`${target.tag}[▶] Extracting RAW preview for ${relPath}`);
+            if (!await downloadFull(target, item, relPath, localSource)) return;
+
+            const preview = `${localSource}.preview.jpg`;
+            try {
+                let jpeg = await ffmpegQueue.add(() => runTool('exiftool', ['-b', '-PreviewImage', localSource], { encoding: null }));
+                if (jpeg.length === 0) {
+                    jpeg = await ffmpegQueue.add(() => runTool('exiftool', ['-b', '-JpgFromRaw', localSource], { encoding: null }));
+                }
+                if (jpeg.length === 0) throw new Error("No embedded preview found");
+                fs.writeFileSync(preview, jpeg);
+                await ffmpegQueue.add(() => resizeImage(preview, localThumb));
+            } finally {
+                if (fs.existsSync(preview)) fs.unlinkSync(preview);
+            }
+        }
+    };
+
+    // HEIC, TIFF, SVG and friends: ImageMagick handles decoding, orientation and scaling in one go
+    const imageGenerator = {
+        name: "image",
+        extensions: [".heic", ".heif", ".avif", ".tif", ".tiff", ".svg", ".psd", ".webp"],
+        mimeTypes: ["image/heic", "image/heif", "image/tiff", "image/svg+xml"],
+
+        async generate(item, { target, relPath, localSource, localThumb }) {
+            log.info(`${target.tag}[▶] Rendering image for ${relPath}`);
+            if (!await downloadFull(target, item, relPath, localSource)) return;
+            await ffmpegQueue.add(() => runTool(MAGICK_BIN, [
+                `${localSource}[0]`, '-auto-orient', '-thumbnail', `${THUMB_WIDTH}x${THUMB_WIDTH}>`,
+                '-background', 'white', '-flatten', '-quality', String(THUMB_QUALITY_VALUE), localThumb
+            ]));
+        }
+    };
+
+    // PDF: first page via poppler's pdftoppm
+    const pdfGenerator = {
+        name: "pdf",
+        extensions: [".pdf"],
+        mimeTypes: ["application/pdf"],
+
+        async generate(item, { target, relPath, localSource, localThumb }) {
+            log.info(`${target.tag}[▶] Rendering first PDF page for ${relPath}`);
+            if (!await downloadFull(target, item, relPath, localSource)) return;
+            // -singlefile writes <prefix>.jpg
+            const prefix = localThumb.replace(/\.jpg$/, "");
+            await ffmpegQueue.add(() => runTool('pdftoppm', [
+                '-f', '1', '-l', '1', '-singlefile', '-jpeg', '-scale-to', String(THUMB_WIDTH), localSource, prefix
+            ]));
+        }
+    };
+
+    const GENERATORS = [videoGenerator, rawGenerator, imageGenerator, pdfGenerator];
+
+    // Builds the ext -> generator and mime -> generator maps from THUMB_EXTENSIONS / THUMB_MIME_TYPES.
+    // Entries are ".ext" or "type/subtype" (also "type/*"), optionally "=generator" to pick the handler.
+    function buildGeneratorMap(list, key, defaults) {
+        const map = new Map();
+        const entries = list === undefined || list.trim() === "" ? defaults : list.split(",");
+        for (const raw of entries) {
+            const [pattern, name] = raw.trim().toLowerCase().split("=").map(x => x.trim());
+            if (!pattern) continue;
+            const generator = name
+                ? GENERATORS.find(g => g.name === name)
+                : GENERATORS.find(g => g[key].includes(pattern) || (key === "mimeTypes" && g[key].includes(pattern.split("/")[0] + "/*")));
+            if (!generator) {
+                throw new ConfigError(`No thumbnail generator for "${raw.trim()}". Available: ${GENERATORS.map(g => g.name).join(", ")}`);
+            }
+            map.set(pattern, generator);
+        }
+        return map;
+    }
+
+    const extGenerators = buildGeneratorMap(THUMB_EXTENSIONS, "extensions", videoGenerator.extensions);
+    const mimeGenerators = buildGeneratorMap(THUMB_MIME_TYPES, "mimeTypes", []);
+
+    // Extension first; MIME type only for files whose extension isn't configured
+    function getGenerator(item) {
+        const ext = path.extname(item.filename).toLowerCase();
+        if (extGenerators.has(ext)) return extGenerators.get(ext);
+        const mime = (item.mime || "").toLowerCase();
+        if (!mime) return null;
+        return mimeGenerators.get(mime) || mimeGenerators.get(mime.split("/")[0] + "/*") || null;
+    }
+
+    const isSupported = (item) => getGenerator(item) !== null;
+
+    // Filters out cached files, checks the server in one batch and queues the rest.
+    // `relDir` tags the queued jobs so their folder can be rescanned if they get dropped.
+    async function queueFiles(t, items, relDir) {
+        if (run.deleteThumbs) {
+            items.forEach(item => t.selected.add(getRelativePath(t, item.filename)));
+            return;
+        }
+
+        const filesToProcess = [];
+        const changedPaths = new Set(); // Known to need a new thumbnail, so the server's copy is stale
+        const cachedPaths = new Set(); // --verify: done according to the cache, confirmed in the batch check
+        for (const item of items) {
+            const relPath = getRelativePath(t, item.filename);
+
+            if (!run.force && !run.regenerate) {
+                const record = t.state.getFileState(relPath);
+
+                if (!record || (item.fileid && record.fileid && record.fileid !== item.fileid)) {
+                    const moved = findMovedRecord(t, relPath, item);
+                    if (moved && sameFingerprint(moved, item)) {
+                        if (run.dryRun) planFile(t, relPath, item, "move", moved.path);
+                        else t.ioQueue.add(fileJob(relPath, () => relinkFile(t, moved.path, item, relPath)), relDir);
+                        continue;
+                    }
+                    if (moved) {
+                        log.info(`${t.tag}[~] Moved and changed: ${moved.path} -> ${relPath}`);
+                        if (!run.dryRun) t.state.deleteFileState(moved.path);
+                        changedPaths.add(relPath);
+                        filesToProcess.push(item);
+                        continue;
+                    }
+                }
+
+                if (record && !hasFingerprint(record)) {
+                    // Rows imported from the CSV caches: adopt the current fingerprint instead of regenerating
+                    if (!run.dryRun) t.state.updateFingerprint(relPath, item);
+                } else if (record && !sameFingerprint(record, item)) {
+                    log.info(`${t.tag}[~] Source changed since last ${record.status === "done" ? "thumbnail" : "attempt"}: ${relPath}`);
+                    countStat(t, "changed");
+                    changedPaths.add(relPath);
+                    filesToProcess.push(item);
+                    continue;
+                }
+
+                if (record?.status === "done") {
+                    if (t.verify) {
+                        cachedPaths.add(relPath);
+                        filesToProcess.push(item);
+                        continue;
+                    }
+                    skipFile(t, relPath, item, "cache");
+                    continue;
+                }
+                if (record?.status === "failed" && !shouldRetryFailed(t, record)) {
+                    log.debug(`${t.tag}[Skip] Previously failed, retry not due yet: ${relPath}`);
+                    skipFile(t, relPath, item, "failed");
+                    continue;
+                }
+            }
+            filesToProcess.push(item);
+        }
+
+        // Batch existence check
+        if (filesToProcess.length > 0) {
+            const pathsToCheck = filesToProcess.map(v => getRelativePath(t, v.filename)).filter(p => !changedPaths.has(p));
+            const remoteResults = pathsToCheck.length > 0 ? await checkBatchRemoteExists(t, pathsToCheck) : {};
+
+            for (const item of filesToProcess) {
+                const relPath = getRelativePath(t, item.filename);
+                if (cachedPaths.has(relPath)) {
+                    // Only a definite "no" counts: a failed check must not regenerate the whole library
+                    if (remoteResults[relPath] !== false) {
+                        skipFile(t, relPath, item, "cache");
+                        continue;
+                    }
+                    log.info(`${t.tag}[🩺] Cached, but the thumbnail is missing on the server: ${relPath}`);
+                    countStat(t, "stale");
+                    if (!run.dryRun) t.state.deleteFileState(relPath);
+                } else if (!run.force && !run.regenerate && remoteResults[relPath]) {
+                    log.info(`${t.tag}[Skip] Already exists on server: ${relPath}`);
+                    if (!run.dryRun) t.state.markDone(relPath, item);
+                    skipFile(t, relPath, item, "exists");
+                    continue;
+                }
+                if (!await hookAllows(t, relPath, item)) {
+                    skipFile(t, relPath, item, "hook");
+                    continue;
+                }
+
+                if (run.dryRun) {
+                    planFile(t, relPath, item, "process");
+                    continue;
+                }
+
+                // Add to IO Queue
+                t.ioQueue.add(fileJob(relPath, () => processFile(t, item, relPath)), relDir);
+            }
+        }
+    }
+
+    // The shouldProcess hook has the last word on files about to be queued. A throwing hook skips the file.
+    async function hookAllows(t, relPath, item) {
+        if (!hooks.shouldProcess) return true;
+        try {
+            if (await hooks.shouldProcess({ target: t.name, path: relPath, item }) !== false) return true;
+            log.info(`${t.tag}[Skip] Rejected by the shouldProcess hook: ${relPath}`);
+        } catch (e) {
+            log.error(`${t.tag}[!] shouldProcess hook failed for ${relPath}: ${e.message}`);
+        }
+        return false;
+    }
+
+    // Same fileid at a new path with an unchanged fingerprint: move the server-side thumbnail instead of regenerating
+    async function relinkFile(t, fromPath, item, relPath) {
+        if (!t.capabilities.move) {
+            log.info(`${t.tag}[~] Moved: ${fromPath} -> ${relPath} (server can't move thumbnails, regenerating)`);
+            t.state.deleteFileState(fromPath);
+            return processFile(t, item, relPath);
+        }
+        try {
+            await moveThumbnail(t, fromPath, relPath);
+            t.state.renameFileState(fromPath, relPath, item);
+            log.info(`${t.tag}[🔀] Moved thumb: ${fromPath} -> ${relPath}`);
+            countStat(t, "moved");
+        } catch (err) {
+            log.info(`${t.tag}[!] Moving thumb failed (${err.message}), regenerating ${relPath}`);
+            t.state.deleteFileState(fromPath);
+            await processFile(t, item, relPath);
+        }
+    }
+
+    // Generates and uploads one file's thumbnail. Resolves with "uploaded", "skipped" (the generator wrote nothing,
+    // e.g. too large), "failed" or "deferred" (transfer budget used up); never rejects.
+    async function processFile(t, item, relPath) {
+        const generator = getGenerator(item);
+        const ext = path.extname(item.filename).toLowerCase();
+        // Keyed by account URL as well, so equal paths of different targets never share temp files
+        const fileHash = getHash(t.url + item.filename);
+        const localSource = path.join(TEMP_DIR, `src_${fileHash}${ext}`);
+        const localThumb = path.join(TEMP_DIR, `t_${fileHash}.jpg`);
+        const extras = [];
+        const ctx = { target: t, relPath, localSource, localThumb, extras, metadata: null };
+        let variants = [];
+        // Left over from a killed run; attemptDownload would otherwise continue it
+        fs.rmSync(localSource, { force: true });
+
+        emit("fileStart", { target: t.name, path: relPath, generator: generator.name, size: item.size ?? null });
+        try {
+            await generator.generate(item, ctx);
+            if (!fs.existsSync(localThumb)) return "skipped";
+            const metadata = SEND_METADATA ? ctx.metadata : null;
+
+            // Before the variants, so they are scaled from the post-processed image
+            if (hooks.beforeUpload) {
+                await hooks.beforeUpload({ target: t.name, path: relPath, file: localThumb, generator: generator.name, item });
+            }
+            if (WANTS_VARIANTS) {
+                variants = await ffmpegQueue.add(() => renderVariants(localThumb));
+            }
+            log.info(`${t.tag}[↑] Uploading thumb: ${relPath}${variants.length + extras.length > 0 ? ` (+${variants.length + extras.length} variants)` : ""}`);
+            await uploadThumbnail(t, relPath, localThumb, [...variants, ...extras], metadata);
+            t.state.markDone(relPath, item, generator.name, metadata);
+            countStat(t, "uploaded");
+            emit("upload", { target: t.name, path: relPath, generator: generator.name, variants: [...variants, ...extras].map(v => v.name), metadata });
+            return "uploaded";
+        } catch (err) {
+            if (err instanceof TransferBudgetError) {
+                // Not the file's fault: leave it unrecorded and make sure the next run visits its folder again
+                log.info(`${t.tag}[⏸] ${err.message} used up, leaving ${relPath} for the next run`);
+                t.state.invalidateFolderCache([path.posix.dirname(relPath)]);
+                countStat(t, "deferred");
+                return "deferred";
+            }
+            const kind = classifyError(err);
+            log.error(`${t.tag}[✘] Failed for ${relPath} (${generator.name}): ${err.message}`);
+            t.state.markFailed(relPath, item, generator.name, err);
+            countStat(t, "failed", { generator: generator.name, kind });
+            emit("failure", { target: t.name, path: relPath, generator: generator.name, error: err, kind });
+            return "failed";
+        } finally {
+            if (fs.existsSync(localSource)) fs.unlinkSync(localSource);
+            if (fs.existsSync(localThumb)) fs.unlinkSync(localThumb);
+            [...variants, ...extras].forEach(v => fs.existsSync(v.file) && fs.unlinkSync(v.file));
+        }
+    }
+
+    async function processFolder(t, directory = "/") {
+        if (isStopping()) return false;
+        const relDir = normalizeRelPath(getRelativePath(t, directory));
+        const now = Date.now();
+
+        if (!t.filter.shouldVisitFolder(relDir)) return false;
+
+        // Check cache with mtime
+        let dirStats;
+        try {
+            dirStats = await statPath(t, relDir);
+        } catch (e) {
+            log.error(`${t.tag}!! WebDAV Stat Error: ${relDir} - ${e.message}`);
+            return false;
+        }
+
+        // --path, --regenerate and --delete-thumbs may name a single file: it is queued on its own
+        if (dirStats.type === "file") {
+            const item = { ...dirStats, filename: relDir };
+            if (!isWanted(t, item)) return false;
+            await queueFiles(t, [item], path.posix.dirname(relDir));
+            return true;
+        }
+
+        // A dry run lists unchanged folders too, so the inventory covers every file and its per-file reason.
+        // So do --verify, which needs every cached file for its check, and --regenerate/--delete-thumbs.
+        const cached = run.force || run.dryRun || run.verify || run.selection ? undefined : t.state.getFolderState(relDir);
+        if (cached) {
+            if (cached.mtime === dirStats.lastmod && (now - cached.ts < COOLDOWN_MS)) {
+                // log.info(`[Skip] Folder unchanged: ${relDir}`);
+                return false;
+            }
+        }
+
+        log.info(`${t.tag}Scanning: ${relDir}`);
+        let items = [];
+        try {
+            items = await listDirectory(t, relDir);
+        } catch (e) {
+            log.error(`${t.tag}!! WebDAV Access Error: ${relDir} - ${e.message}`);
+            return false;
+        }
+        if (t.verify) recordListing(t, relDir, items);
+
+        const marker = items.find(i => i.type === "file" && t.filter.markers.includes(i.basename));
+        if (marker) {
+            log.info(`${t.tag}[Skip] Opt-out marker ${marker.basename} in ${relDir}`);
+            if (!run.dryRun) t.state.updateFolderCache(relDir, now, dirStats.lastmod, true);
+            return false;
+        }
+
+        let mediaInTree = false;
+        const mediaFiles = [];
+
+        for (const item of items) {
+            if (isStopping()) return mediaInTree;
+            if (item.type === "directory") {
+                if (await processFolder(t, item.filename)) mediaInTree = true;
+                continue;
+            }
+
+            if (isSupported(item) && t.filter.isPathAllowed(getRelativePath(t, item.filename))) {
+                mediaInTree = true;
+                mediaFiles.push(item);
+            }
+        }
+
+        // Don't mark a folder as scanned if we stopped before queueing its files
+        if (isStopping()) return mediaInTree;
+
+        await queueFiles(t, mediaFiles, relDir);
+
+        // --regenerate/--delete-thumbs only looked at some files, so the folder doesn't count as scanned
+        if (!run.dryRun && !run.selection) t.state.updateFolderCache(relDir, now, dirStats.lastmod);
+        return mediaInTree;
+    }
+
+    // --- INCREMENTAL SYNC ---
+
+    const SYNC_METHODS = ["sync-collection", "activity"];
+    const SYNC_MODE = (INCREMENTAL_MODE || "off").toLowerCase();
+
+    if (SYNC_MODE !== "off" && SYNC_MODE !== "auto" && !SYNC_METHODS.includes(SYNC_MODE)) {
+        throw new ConfigError(`Invalid INCREMENTAL_MODE "${INCREMENTAL_MODE}". Use off, auto, ${SYNC_METHODS.join(" or ")}.`);
+    }
+
+    function loadSyncState(t) {
+        if (!fs.existsSync(t.syncStatePath)) return null;
+        try {
+            const state = JSON.parse(fs.readFileSync(t.syncStatePath, "utf-8"));
+            return SYNC_METHODS.includes(state.method) && state.token !== undefined ? state : null;
+        } catch (e) {
+            log.warn(`${t.tag}[!] Ignoring unreadable sync state ${t.syncStatePath}: ${e.message}`);
+            return null;
+        }
+    }
+
+    function saveSyncState(t, state) {
+        fs.writeFileSync(t.syncStatePath, JSON.stringify({ ...state, savedAt: new Date().toISOString() }));
+    }
+
+    const escapeXml = (str) => String(str).replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`);
+
+    // RFC 6578 sync-collection REPORT against the WebDAV root
+    const syncCollection = {
+        async getToken(t) {
+            const res = await t.dav.customRequest("/", {
+                method: "PROPFIND",
+                headers: { Depth: "0", "Content-Type": "application/xml; charset=utf-8" },
+                data: `<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:sync-token/></d:prop></d:propfind>`
+            });
+            const result = await parseXML(await res.text());
+            const token = result.multistatus.response[0]?.propstat?.prop?.["sync-token"];
+            if (token === undefined || token === "") throw new Error("Server does not expose a sync-token");
+            return String(token);
+        },
+
+        async getChanges(t, token) {
+            const changed = [];
+            let syncToken = token;
+            let truncated = true;
+
+            // A 507 on the collection itself means the result was truncated; repeat with the new token
+            while (truncated) {
+                const res = await t.dav.customRequest("/", {
+                    method: "REPORT",
+                    headers: { Depth: "0", "Content-Type": "application/xml; charset=utf-8" },
+                    data: `<?xml version="1.0"?><d:sync-collection xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">`
+                        + `<d:sync-token>${escapeXml(syncToken)}</d:sync-token><d:sync-level>infinite</d:sync-level>`
+                        + `${DAV_PROPS_XML}</d:sync-collection>`
+                });
+                const { multistatus } = await parseXML(await res.text());
+                truncated = false;
+
+                for (const response of multistatus.response) {
+                    // parseXML turns an empty multistatus (nothing changed) into one response without href
+                    if (!response.href) continue;
+                    const relPath = getRelativePath(t, decodeURIComponent(response.href));
+                    if (response.status) {
+                        // Deleted members (404) need no thumbnail work
+                        if (response.status.includes("507") && relPath === "/") truncated = true;
+                        continue;
+                    }
+                    const stat = withFileId(prepareFileFromProps(response.propstat.prop, relPath, true));
+                    if (stat.type === "file") changed.push(stat);
+                }
+
+                if (!multistatus["sync-token"]) throw new Error("REPORT response did not include a sync-token");
+                syncToken = String(multistatus["sync-token"]);
+            }
+            return { changed, token: syncToken };
+        }
+    };
+
+    // Nextcloud activity app: file activities newer than the last seen activity_id
+    const activityUrl = (t) => `${t.ncRoot}/ocs/v2.php/apps/activity/api/v2/activity/files`;
+    const ACTIVITY_PAGE_SIZE = 200;
+    const ACTIVITY_CHANGE_TYPES = ["file_created", "file_changed", "file_restored"];
+
+    const activityFeed = {
+        async getToken(t) {
+            const res = await t.client.get(activityUrl(t), {
+                params: { format: "json", limit: 1, sort: "desc" },
+                validateStatus: s => s === 200 || s === 304
+            });
+            // 304: no activities yet, so everything from now on is new
+            if (res.status === 304) return 0;
+            return res.data.ocs.data[0]?.activity_id || 0;
+        },
+
+        async getChanges(t, token) {
+            const paths = new Set();
+            let since = token;
+
+            while (true) {
+                const res = await t.client.get(activityUrl(t), {
+                    params: { format: "json", since, limit: ACTIVITY_PAGE_SIZE, sort: "asc" },
+                    validateStatus: s => s === 200 || s === 304
+                });
+                if (res.status === 304) break;
+
+                const activities = res.data.ocs.data;
+                for (const activity of activities) {
+                    since = Math.max(since, activity.activity_id);
+                    if (!ACTIVITY_CHANGE_TYPES.includes(activity.type)) continue;
+                    Object.values(activity.objects || {}).forEach(p => paths.add(getRelativePath(t, p)));
+                }
+                if (activities.length < ACTIVITY_PAGE_SIZE) break;
+            }
+
+            // Activities only carry paths; stat the media files to get size/mtime/mime (gone files are skipped)
+            const changed = [];
+            for (const relPath of paths) {
+                // Without MIME rules the extension alone decides, so skip the stat for everything else
+                if (mimeGenerators.size === 0 && !isSupported({ filename: relPath })) continue;
+                try {
+                    const stat = await statPath(t, relPath);
+                    if (stat.type === "file") changed.push({ ...stat, filename: relPath });
+                } catch (e) {
+                    if (e.status !== 404) throw e;
+                }
+            }
+            return { changed, token: since };
+        }
+    };
+
+    const syncHandlers = { "sync-collection": syncCollection, "activity": activityFeed };
+
+    // Picks a method (auto tries sync-collection first) and returns a fresh token for the next run.
+    async function acquireSyncState(t) {
+        const methods = SYNC_MODE === "auto" ? SYNC_METHODS : [SYNC_MODE];
+        for (const method of methods) {
+            try {
+                const token = await syncHandlers[method].getToken(t);
+                log.info(`${t.tag}[i] Incremental sync: using ${method}.`);
+                return { method, token };
+            } catch (e) {
+                log.warn(`${t.tag}[!] Incremental sync via ${method} unavailable: ${e.message}`);
+            }
+        }
+        log.warn(`${t.tag}[!] No incremental sync method available, every run will walk the full tree.`);
+        return null;
+    }
+
+    // Queues changed media files since the stored token. Returns the next state, or null if a full walk is needed.
+    async function processChanges(t, state) {
+        let result;
+        try {
+            result = await syncHandlers[state.method].getChanges(t, state.token);
+        } catch (e) {
+            log.warn(`${t.tag}[!] Incremental sync failed (${e.message}). Falling back to full scan...`);
+            return null;
+        }
+
+        const mediaFiles = result.changed.filter(item => isWanted(t, item));
+        log.info(`${t.tag}[i] Incremental sync: ${result.changed.length} changed file(s), ${mediaFiles.length} media file(s).`);
+
+        // Failed files don't change, so the feed never lists them again: their retries are queued from the state
+        const changedPaths = new Set(mediaFiles.map(item => getRelativePath(t, item.filename)));
+        const due = dueRetries(t).filter(row => !changedPaths.has(row.path));
+        if (due.length > 0) log.info(`${t.tag}[i] ${due.length} failed file(s) due for a retry.`);
+
+        await queueByDirectory(t, [...mediaFiles, ...await statRows(t, due)]);
+        return { method: state.method, token: result.token };
+    }
+
+    // Groups loose files by folder so each folder gets one batch existence check
+    async function queueByDirectory(t, items) {
+        const byDir = new Map();
+        for (const item of items) {
+            const dir = path.posix.dirname(item.filename);
+            if (!byDir.has(dir)) byDir.set(dir, []);
+            byDir.get(dir).push(item);
+        }
+        for (const [dir, dirItems] of byDir) {
+            if (isStopping()) break;
+            await queueFiles(t, dirItems, dir);
+        }
+    }
+
+    // Failed rows whose backoff (or FAIL_EXPIRY_DAYS) ran out
+    const dueRetries = (t, now = Date.now()) => t.state.listFailedFiles()
+        .filter(row => isRetryDue(row, now) && t.filter.isPathAllowed(row.path));
+
+    // --retry-failed: re-stat every failed row and queue it again
+    async function retryFailedFiles(t) {
+        const rows = t.state.listFailedFiles().filter(row => t.filter.isPathAllowed(row.path));
+        log.info(`${t.tag}[i] Retrying ${rows.length} failed file(s)...`);
+        await queueByDirectory(t, await statRows(t, rows));
+    }
+
+    // Current items for state rows; rows whose file is gone are dropped
+    async function statRows(t, rows) {
+        const items = [];
+        for (const row of rows) {
+            if (isStopping()) break;
+            try {
+                const item = await statPath(t, row.path);
+                if (isWanted(t, { ...item, filename: row.path })) items.push({ ...item, filename: row.path });
+            } catch (e) {
+                if (e.status !== 404) {
+                    log.error(`${t.tag}!! WebDAV Stat Error: ${row.path} - ${e.message}`);
+                    continue;
+                }
+                log.info(`${t.tag}[i] Source is gone, forgetting failure: ${row.path}`);
+                if (!run.dryRun) t.state.deleteFileState(row.path);
+            }
+        }
+        return items;
+    }
+
+    // --- VERIFY ---
+    // --verify walks the whole tree without the folder cache. Files cached as done go through the batch check as well
+    // (see queueFiles); afterwards every state row whose source the walk proved gone is reconciled with the server.
+
+    const VERIFY_BATCH = 200; // Paths per batch_exists request for rows without a folder to batch them by
+
+    const createVerifyState = () => ({ listed: new Set(), seen: new Set(), fileIds: new Set() });
+
+    function recordListing(t, relDir, items) {
+        t.verify.listed.add(relDir);
+        for (const item of items) {
+            t.verify.seen.add(getRelativePath(t, item.filename));
+            if (item.fileid) t.verify.fileIds.add(item.fileid);
+        }
+    }
+
+    // Gone only if the nearest listed folder above the row didn't contain it (or the subfolder leading to it).
+    // Rows below folders that weren't listed (filtered, opted out, WebDAV errors) are left alone.
+    function isSourceGone(t, row) {
+        if (row.fileid && t.verify.fileIds.has(row.fileid)) return false; // Moved; the walk took care of it
+        for (let p = row.path; p !== "/"; p = path.posix.dirname(p)) {
+            if (t.verify.listed.has(path.posix.dirname(p))) return !t.verify.seen.has(p);
+        }
+        return false;
+    }
+
+    // Rows of deleted files: failed ones and those without a remote thumbnail are dropped. Thumbnails that are
+    // still on the server are orphans; their rows stay (so the next --verify reports them again) unless pruned.
+    async function reconcileState(t) {
+        const gone = t.state.listFiles().filter(row => isUnder(row.path, run.startPath) && isSourceGone(t, row));
+        const donePaths = gone.filter(row => row.status === "done").map(row => row.path);
+
+        const remote = {};
+        for (let i = 0; i < donePaths.length && !isStopping(); i += VERIFY_BATCH) {
+            Object.assign(remote, await checkBatchRemoteExists(t, donePaths.slice(i, i + VERIFY_BATCH)));
+        }
+
+        const orphans = [];
+        for (const row of gone) {
+            const exists = row.status === "done" ? remote[row.path] : false;
+            if (exists === false) {
+                log.info(`${t.tag}[i] Source is gone, dropping cache entry: ${row.path}`);
+                if (!run.dryRun) t.state.deleteFileState(row.path);
+                countStat(t, "stale");
+            } else if (exists) {
+                log.warn(`${t.tag}[👻] Orphaned thumbnail, source is gone: ${row.path}`);
+                countStat(t, "orphaned");
+                orphans.push(row.path);
+            }
+        }
+
+        if (orphans.length === 0 || isStopping()) return;
+        if (!run.prune) {
+            log.info(`${t.tag}[i] Run with --verify --prune to delete ${orphans.length} orphaned thumbnail(s).`);
+            return;
+        }
+        if (run.dryRun) return;
+        if (!canDeleteThumbnails(t)) {
+            log.warn(`${t.tag}[!] Server advertises neither 'delete' nor 'batch_delete', orphaned thumbnails are only reported.`);
+            return;
+        }
+        for (const p of await deleteThumbnails(t, orphans)) {
+            t.state.deleteFileState(p);
+            countStat(t, "pruned");
+        }
+    }
+
+    // --- TARGETED DELETE ---
+    // --delete-thumbs: the walk collects matching files in `t.selected` (see queueFiles). Matching rows of files that
+    // are gone by now join them, so their thumbnails go as well.
+
+    async function deleteSelectedThumbs(t) {
+        for (const row of t.state.listFiles()) {
+            if (row.status === "done" && t.filter.isPathAllowed(row.path)) t.selected.add(row.path);
+        }
+        const candidates = [...t.selected];
+
+        // Files the server definitely has no thumbnail for need no request
+        const remote = {};
+        for (let i = 0; i < candidates.length && !isStopping(); i += DELETE_BATCH) {
+            Object.assign(remote, await checkBatchRemoteExists(t, candidates.slice(i, i + DELETE_BATCH)));
+        }
+        if (isStopping()) return;
+        const paths = candidates.filter(p => remote[p] !== false);
+        if (paths.length === 0) {
+            log.info(`${t.tag}[i] No thumbnails match ${run.selectPattern}.`);
+            return;
+        }
+
+        if (run.dryRun) {
+            for (const p of paths) {
+                log.info(`${t.tag}[dry-run] Would delete thumb: ${p}`);
+                countStat(t, "deleted");
+            }
+            return;
+        }
+        if (!canDeleteThumbnails(t)) {
+            log.error(`${t.tag}[✘] Server advertises neither 'delete' nor 'batch_delete', cannot delete single thumbnails.`);
+            return;
+        }
+
+        const deleted = await deleteThumbnails(t, paths);
+        // Only the affected entries: the files and the folder cache rows that would skip them on the next scan
+        for (const p of deleted) {
+            t.state.deleteFileState(p);
+            countStat(t, "deleted");
+        }
+        t.state.invalidateFolderCache([...new Set(deleted.map(p => path.posix.dirname(p)))]);
+    }
+
+    // --- DRY RUN ---
+    // --dry-run walks and checks exactly like a normal run, but records each decision in `t.plan`
+    // instead of queueing jobs or touching the caches. The scan result carries the plan with per-folder totals,
+    // which --report prints.
+
+    const SKIP_STATS = { cache: "skippedCache", failed: "skippedFailed", exists: "skippedExists", size: "skippedSize", hook: "skippedHook" };
+    const PLAN_COLUMNS = ["process", "streamOnly", "move", "skipCache", "skipFailed", "skipExists", "skipSize", "skipHook", "sourceBytes", "estimatedBytes"];
+    const PLAN_KEYS = {
+        "process": "process", "stream-only": "streamOnly", "move": "move",
+        "cache": "skipCache", "failed": "skipFailed", "exists": "skipExists", "size": "skipSize", "hook": "skipHook"
+    };
+
+    const createPlan = () => ({ folders: new Map(), files: [] });
+    const emptyTotals = () => Object.fromEntries(PLAN_COLUMNS.map(c => [c, 0]));
+
+    function recordPlan(t, relPath, item, action, reason, estimatedBytes) {
+        const folder = path.posix.dirname(relPath);
+        if (!t.plan.folders.has(folder)) t.plan.folders.set(folder, emptyTotals());
+        const totals = t.plan.folders.get(folder);
+        totals[PLAN_KEYS[reason || action]]++;
+        if (action === "process" || action === "stream-only") totals.sourceBytes += item.size || 0;
+        totals.estimatedBytes += estimatedBytes;
+        t.plan.files.push({ path: relPath, action, reason, size: item.size || 0, estimatedBytes, generator: getGenerator(item)?.name ?? null });
+    }
+
+    function skipFile(t, relPath, item, reason) {
+        countStat(t, SKIP_STATS[reason]);
+        if (t.plan) recordPlan(t, relPath, item, "skip", reason, 0);
+        emit("skip", { target: t.name, path: relPath, reason });
+    }
+
+    // The estimate is the worst case: the whole file, except for videos above MAX_VIDEO_SIZE_MB, which never get
+    // past the partial download (and are skipped if streaming and the partial download both fail).
+    function planFile(t, relPath, item, action, movedFrom = null) {
+        if (action === "move") {
+            log.info(`${t.tag}[dry-run] Would move thumb: ${movedFrom} -> ${relPath}`);
+            recordPlan(t, relPath, item, "move", null, 0);
+            return;
+        }
+        const size = item.size || 0;
+        if (hasCachedSource(t, item)) {
+            log.info(`${t.tag}[dry-run] Would process from the source cache: ${relPath} (${formatMB(size)})`);
+            recordPlan(t, relPath, item, "process", null, 0);
+        } else if (size <= MAX_SIZE_BYTES) {
+            log.info(`${t.tag}[dry-run] Would process: ${relPath} (${formatMB(size)})`);
+            recordPlan(t, relPath, item, "process", null, size);
+        } else if (getGenerator(item) === videoGenerator) {
+            log.info(`${t.tag}[dry-run] Would process without full-download fallback: ${relPath} (${formatMB(size)})`);
+            recordPlan(t, relPath, item, "stream-only", null, Math.min(size, PARTIAL_DOWNLOAD_BYTES));
+        } else {
+            log.info(`${t.tag}[dry-run] Would skip, too large: ${relPath} (${formatMB(size)})`);
+            t.stats.skippedSizeList.push(`${relPath} (${formatMB(size)})`);
+            skipFile(t, relPath, item, "size");
+        }
+    }
+
+    function planTotals(plan) {
+        const totals = emptyTotals();
+        for (const folder of plan.folders.values()) {
+            for (const c of PLAN_COLUMNS) totals[c] += folder[c];
+        }
+        return totals;
+    }
+
+    // Plan of a finished dry run as handed out in the scan result
+    const planResult = (plan) => ({
+        totals: planTotals(plan),
+        folders: [...plan.folders].sort(([a], [b]) => a.localeCompare(b)).map(([folder, totals]) => ({ folder, ...totals })),
+        files: plan.files
+    });
+
+    // --- SCAN RUN ---
+
+    async function scanTarget(t) {
+        t.stats = createStats();
+        t.plan = run.dryRun ? createPlan() : null;
+        t.verify = run.verify ? createVerifyState() : null;
+        t.selected = run.deleteThumbs ? new Set() : null;
+
+        // The folders of failures due for a retry were cached as scanned when the file failed; the walk has to
+        // visit them again to queue the retry (queueFiles decides per file via shouldRetryFailed)
+        if (!run.dryRun) t.state.invalidateFolderCache(new Set(dueRetries(t).map(row => path.posix.dirname(row.path))));
+
+        let nextSyncState = null;
+        if (run.retryFailed) {
+            await retryFailedFiles(t);
+        } else if (SYNC_MODE !== "off" && run.startPath === "/" && !run.verify && !run.selection) {
+            const state = run.force ? null : loadSyncState(t);
+            if (state && (SYNC_MODE === "auto" || state.method === SYNC_MODE)) {
+                nextSyncState = await processChanges(t, state);
+            }
+            if (!nextSyncState) {
+                // Take the token before walking so changes made during the walk are picked up next time
+                nextSyncState = await acquireSyncState(t);
+                await processFolder(t, "/");
+            }
+        } else {
+            if (SYNC_MODE !== "off") log.info(`${t.tag}[i] ${run.verify ? "--verify" : run.regenerate ? "--regenerate" : run.deleteThumbs ? "--delete-thumbs" : "--path given"}: walking the ${run.startPath === "/" ? "tree" : "subtree"}, incremental sync token left untouched.`);
+            await processFolder(t, run.startPath);
+        }
+
+        // Wait for this target's jobs; their ffmpeg work runs inside them
+        await waitForIdle(t.ioQueue);
+
+        // After the jobs, so thumbnails of moved files were re-pointed before their old rows are looked at
+        if (t.verify && !isStopping()) await reconcileState(t);
+        if (run.deleteThumbs && !isStopping()) await deleteSelectedThumbs(t);
+
+        // Only advance the token once everything up to it was handled
+        if (nextSyncState && !isStopping() && !run.dryRun) saveSyncState(t, nextSyncState);
+    }
+
+    // Targets are scanned side by side; each has its own IO queue, all share the ffmpegQueue.
+    // Resolves with the per-target stats (and the plans of a dry run); printing them is up to the caller.
+    async function runScan() {
+        const started = Date.now();
+        startTransferRun();
+
+        await Promise.all(targets.map(t => withLogContext({ target: t.name }, () => scanTarget(t)).catch(err => {
+            log.error(`${t.tag}Scan failed:`, err);
+        })));
+        await waitForQueues();
+
+        lastScan.started = started;
+        lastScan.duration = Date.now() - started;
+        saveDailyUsage();
+
+        const result = {
+            status: shuttingDown ? "interrupted" : transfer.exhausted ? "paused" : "complete",
+            dryRun: run.dryRun,
+            durationMs: lastScan.duration,
+            downloadedBytes: transfer.runBytes,
+            metered: METERED,
+            dailyUsage: DAY_BUDGET_BYTES > 0 ? { bytes: transfer.dayBytes, budget: DAY_BUDGET_BYTES } : null,
+            maxVideoSizeBytes: MAX_SIZE_BYTES,
+            targets: Object.fromEntries(targets.map(t => [t.name, t.stats])),
+            plans: run.dryRun ? Object.fromEntries(targets.map(t => [t.name, planResult(t.plan)])) : null
+        };
+        emit("scanComplete", result);
+        return result;
+    }
+
+    // --- WATCH MODE ---
+
+    // Minimal 5-field cron parser: "minute hour day-of-month month day-of-week".
+    // Supports "*", lists ("1,5"), ranges ("1-5") and steps ("*/15", "10-40/10").
+    // As in classic cron, a day matches either field when day-of-month and day-of-week are both restricted
+    // (neither starts with "*"): "0 0 1 * 1" runs on the 1st and on every Monday.
+    const CRON_FIELDS = [
+        { min: 0, max: 59 },  // minute
+        { min: 0, max: 23 },  // hour
+        { min: 1, max: 31 },  // day of month
+        { min: 1, max: 12 },  // month
+        { min: 0, max: 7 }    // day of week (0 and 7 = Sunday)
+    ];
+
+    function parseCron(expr) {
+        const parts = expr.trim().split(/\s+/);
+        if (parts.length !== 5) throw new ConfigError(`Invalid WATCH_CRON "${expr}": expected 5 fields`);
+
+        const [minutes, hours, days, months, weekdays] = parts.map((part, idx) => {
+            const { min, max } = CRON_FIELDS[idx];
+            const values = new Set();
+            for (const segment of part.split(",")) {
+                const [range, stepStr] = segment.split("/");
+                const step = stepStr === undefined ? 1 : parseInt(stepStr);
+                let start = min, end = max;
+                if (range !== "*") {
+                    [start, end] = range.split("-").map(n => parseInt(n));
+                    if (end === undefined) end = stepStr === undefined ? start : max;
+                }
+                if ([start, end, step].some(isNaN) || step < 1 || start < min || end > max || start > end) {
+                    throw new ConfigError(`Invalid WATCH_CRON field "${part}" in "${expr}"`);
+                }
+                for (let v = start; v <= end; v += step) values.add(idx === 4 && v === 7 ? 0 : v);
+            }
+            return values;
+        });
+        const eitherDay = !parts[2].startsWith("*") && !parts[4].startsWith("*");
+        return { minutes, hours, days, months, weekdays, eitherDay };
+    }
+
+    function nextCronRun(fields, from = new Date()) {
+        const { minutes, hours, days, months, weekdays, eitherDay } = fields;
+        const dayMatches = (t) => eitherDay
+            ? days.has(t.getDate()) || weekdays.has(t.getDay())
+            : days.has(t.getDate()) && weekdays.has(t.getDay());
+        const t = new Date(from);
+        t.setSeconds(0, 0);
+        t.setMinutes(t.getMinutes() + 1);
+
+        // Skip whole days/hours that can't match; bounded to 5 years so Feb 29 still resolves.
+        const limit = t.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+        while (t.getTime() <= limit) {
+            if (!months.has(t.getMonth() + 1) || !dayMatches(t)) {
+                t.setHours(24, 0, 0, 0);
+            } else if (!hours.has(t.getHours())) {
+                t.setHours(t.getHours() + 1, 0, 0, 0);
+            } else if (!minutes.has(t.getMinutes())) {
+                t.setMinutes(t.getMinutes() + 1);
+            } else {
+                return t;
+            }
+        }
+        throw new Error("Cron expression never matches");
+    }
+
+    function createScheduler() {
+        if (WATCH_CRON) {
+            const fields = parseCron(WATCH_CRON);
+            try {
+                nextCronRun(fields);
+            } catch (e) {
+                throw new ConfigError(`Invalid WATCH_CRON "${WATCH_CRON}": ${e.message}`);
+            }
+            return { describe: `cron "${WATCH_CRON}"`, next: (after) => nextCronRun(fields, new Date(after)) };
+        }
+        const intervalMs = (parseFloat(WATCH_INTERVAL_MINUTES) || 60) * 60 * 1000;
+        return {
+            describe: `every ${intervalMs / 60000} minute(s)`,
+            next: (after) => new Date(after + intervalMs)
+        };
+    }
+
+    // Built up front so a bad WATCH_CRON is a ConfigError of createThumbnailer(), not of the first watch()
+    const scheduler = createScheduler();
+
+    let wakeUp = null; // Resolves the idle sleep between scans in watch mode
+    let idleTimer = null;
+    // setTimeout fires at once for longer delays (about 24.8 days), so far-off slots are slept towards in chunks
+    const MAX_TIMER_MS = 2 ** 31 - 1;
+
+    function clearIdleTimer() {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+    }
+
+    function cleanTempDir() {
+        if (!fs.existsSync(TEMP_DIR)) return;
+        for (const f of fs.readdirSync(TEMP_DIR)) {
+            if (SOURCE_CACHE_DIR && path.join(TEMP_DIR, f) === SOURCE_CACHE_DIR) continue;
+            fs.rmSync(path.join(TEMP_DIR, f), { recursive: true, force: true });
+        }
+    }
+
+    // Drops the queued jobs, lets the in-flight ones finish and tidies up. The running scan() or watch() then
+    // resolves with status "interrupted".
+    async function stop() {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        const dropped = dropQueuedJobs();
+        log.info(`[i] Stopping: finishing in-flight jobs (${dropped} queued job(s) dropped)...`);
+        clearIdleTimer();
+        if (wakeUp) wakeUp();
+
+        await waitForQueues();
+        saveDailyUsage();
+        cleanTempDir();
+        log.info("[✔] Shutdown complete.");
+    }
+
+    async function watchLoop() {
+        log.info(`[i] Watch mode enabled: scanning ${scheduler.describe}.`);
+
+        while (!shuttingDown) {
+            const startedAt = Date.now();
+            try {
+                await runScan();
+            } catch (err) {
+                log.error("Scan failed:", err);
+            }
+            if (shuttingDown) break;
+
+            // Runs never overlap: slots that passed while the scan was running are skipped
+            let next = scheduler.next(startedAt);
+            while (next.getTime() <= Date.now()) next = scheduler.next(next.getTime());
+
+            log.info(`[i] Next scan at ${next.toLocaleString()}`);
+            while (!shuttingDown && Date.now() < next.getTime()) {
+                await new Promise(r => {
+                    wakeUp = r;
+                    idleTimer = setTimeout(r, Math.min(next.getTime() - Date.now(), MAX_TIMER_MS));
+                });
+                clearIdleTimer();
+                wakeUp = null;
+            }
+        }
+    }
+
+    // --- API ---
+
+    let busy = null; // Name of the running command; scans share the targets' queues and stats, so one at a time
+    let prepared = null;
+
+    async function command(name, options, fn) {
+        if (busy) throw new Error(`Cannot ${name}() while ${busy}() is running`);
+        busy = name;
+        try {
+            run = normalizeScanOptions(options);
+            shuttingDown = false;
+            if (!prepared) {
+                prepared = (async () => {
+                    await Promise.all(targets.map(t => withLogContext({ target: t.name }, () => checkCapabilities(t))));
+                    startAdaptiveConcurrency();
+                })();
+            }
+            await prepared;
+            if (!run.dryRun && !fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
+            return await fn();
+        } finally {
+            run = normalizeScanOptions();
+            busy = null;
+        }
+    }
+
+    const findTarget = (name) => {
+        if (name === undefined && targets.length === 1) return targets[0];
+        const t = targets.find(t => t.name === name);
+        if (!t) throw new Error(`Unknown target "${name}". Available: ${targets.map(t => t.name).join(", ")}`);
+        return t;
+    };
+
+    return Object.assign(thumbnailer, {
+        targets: targets.map(t => t.name),
+
+        // One scan of every target. Resolves with the scan result, also emitted as scanComplete.
+        scan: (options = {}) => command("scan", options, runScan),
+
+        scanFolder: (folder, options = {}) => command("scanFolder", { ...options, path: folder }, runScan),
+
+        // Generates and uploads the thumbnail of one file, caches and filters aside.
+        // Resolves with "uploaded", "skipped", "failed" or "deferred".
+        processFile: (relPath, { target } = {}) => command("processFile", {}, async () => {
+            const t = findTarget(target);
+            const rel = normalizeRelPath(relPath);
+            const item = { ...await statPath(t, rel), filename: rel };
+            const generator = getGenerator(item);
+            if (!generator) throw new Error(`No thumbnail generator for ${rel}`);
+            startTransferRun();
+            return withLogContext({ target: t.name }, fileJob(rel, () => processFile(t, item, rel)));
+        }),
+
+        // Deletes every thumbnail on the server and clears the local caches. Resolves with false if a target failed.
+        deleteAll: () => command("deleteAll", {}, async () => {
+            let ok = true;
+            for (const t of targets) {
+                await withLogContext({ target: t.name }, async () => {
+                    try {
+                        log.info(`${t.tag}[▶] Requesting server-side thumbnail deletion...`);
+                        const res = await t.client.post(`${t.apiBase}/deleteAll`);
+                        log.info(`${t.tag}[✔] Server response: ${res.data.message}`);
+
+                        log.info(`${t.tag}[▶] Clearing local caches...`);
+                        t.state.clearState();
+                        if (fs.existsSync(t.syncStatePath)) fs.unlinkSync(t.syncStatePath);
+                        log.info(`${t.tag}[✔] Local caches cleared.`);
+                    } catch (e) {
+                        log.error(`${t.tag}[✘] Delete failed: ${e.message}`);
+                        ok = false;
+                    }
+                });
+            }
+            return ok;
+        }),
+
+        // Failed rows of the state database per target, newest first
+        listFailed: () => Object.fromEntries(targets.map(t => [t.name, t.state.listFailedFiles()])),
+
+        // Scans on WATCH_CRON or WATCH_INTERVAL_MINUTES until stop(); each result is emitted as scanComplete.
+        // Takes the scan() options, which hold for every scan of the loop.
+        watch: (options = {}) => command("watch", options, watchLoop),
+
+        stop,
+
+        // Serves /metrics on METRICS_PORT (if set); metrics() renders the same text
+        serveMetrics: startMetricsServer,
+        metrics: () => renderMetrics(),
+
+        // Releases the databases, sockets and timers. The instance can't be used afterwards.
+        async close() {
+            if (busy) await stop();
+            clearInterval(adaptTimer);
+            clearIdleTimer();
+            await Promise.all(servers.map(server => new Promise(r => server.close(r))));
+            for (const t of targets) {
+                t.state.close();
+                t.httpAgent.destroy();
+                t.httpsAgent.destroy();
+            }
+        }
+    });
+}
@@ -0,0 +1,179 @@
+// Folder and file caches, the server-side existence check, --force and --delete-all-thumbs
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createWorkspace, runWorker, addFile, touchTree, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+const davRequests = (ws) => ws.mock.requests.filter(r => r.path.includes("/remote.php/dav/"));
+const dryRunTotals = (run) => run.logs.find(l => l.msg === "Dry run complete")?.data.targets.default;
+
+describe("caches", { skip: SKIP_WITHOUT_FFMPEG }, () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("skips unchanged folders on the next run", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4", "Videos/Sub/b.mkv": "clip.mkv" });
+        const first = await runWorker(ws);
+        assert.equal(first.stats.uploaded, 2);
+
+        ws.mock.requests.length = 0;
+        const second = await runWorker(ws);
+        assert.equal(second.stats.uploaded, 0);
+        // Only the folder stats, no listings and no downloads
+        assert.ok(davRequests(ws).every(r => r.method === "PROPFIND"));
+        assert.ok(!second.logs.some(l => /^Scanning: \/Videos/.test(l.msg)));
+    });
+
+    it("uses the file cache when a folder changed", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        await runWorker(ws);
+
+        addFile(ws, "Videos/b.mp4", "faststart.mp4");
+        touchTree(ws, "Videos");
+        const run = await runWorker(ws);
+        assert.equal(run.stats.uploaded, 1);
+        assert.equal(run.stats.skippedCache, 1);
+        assert.ok(ws.mock.thumbnails.has("/Videos/b.mp4"));
+    });
+
+    it("regenerates a thumbnail when the source changes", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        await runWorker(ws);
+        const before = ws.mock.thumbnails.get("/Videos/a.mp4").thumbnail;
+
+        addFile(ws, "Videos/a.mp4", "moov-at-end.mp4");
+        touchTree(ws, "Videos/a.mp4");
+        const run = await runWorker(ws);
+        assert.equal(run.stats.changed, 1);
+        assert.equal(run.stats.uploaded, 1);
+        assert.notEqual(ws.mock.thumbnails.get("/Videos/a.mp4").thumbnail, before);
+    });
+
+    it("adopts thumbnails that already exist on the server", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        await runWorker(ws);
+
+        // A fresh state database, the server still has the thumbnail
+        fs.rmSync(path.join(ws.dir, "localthumbs.db"));
+        ws.mock.requests.length = 0;
+        const run = await runWorker(ws);
+        assert.equal(run.stats.uploaded, 0);
+        assert.equal(run.stats.skippedExists, 1);
+        assert.ok(ws.mock.requests.some(r => r.path.endsWith("/batch_exists")));
+        assert.ok(!ws.mock.requests.some(r => r.method === "GET" && r.path.endsWith("/Videos/a.mp4")));
+    });
+
+    it("falls back to single exists checks without the batch_exists capability", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" }, { capabilities: {} });
+        await runWorker(ws);
+        fs.rmSync(path.join(ws.dir, "localthumbs.db"));
+
+        const run = await runWorker(ws);
+        assert.equal(run.stats.skippedExists, 1);
+        assert.ok(!ws.mock.requests.some(r => r.path.endsWith("/batch_exists")));
+        assert.ok(ws.mock.requests.some(r => r.path.endsWith("/exists")));
+    });
+
+    it("incremental sync only picks up changed files", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        const env = { INCREMENTAL_MODE: "sync-collection" };
+        const first = await runWorker(ws, [], env);
+        assert.equal(first.stats.uploaded, 1);
+
+        const second = await runWorker(ws, [], env);
+        assert.ok(second.logs.some(l => /Incremental sync: 0 changed/.test(l.msg)));
+        assert.ok(!second.logs.some(l => /Falling back to full scan/.test(l.msg)));
+        assert.equal(second.stats.uploaded, 0);
+
+        addFile(ws, "Videos/b.mp4", "faststart.mp4");
+        const third = await runWorker(ws, [], env);
+        assert.ok(third.logs.some(l => /Incremental sync: 1 changed/.test(l.msg)));
+        assert.equal(third.stats.uploaded, 1);
+        assert.ok(ws.mock.thumbnails.has("/Videos/b.mp4"));
+    });
+
+    it("incremental sync maps the changes of a user ID that needs encoding", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" }, { user: "a@b" });
+        const env = { NC_USER: "a@b", INCREMENTAL_MODE: "sync-collection" };
+        assert.equal((await runWorker(ws, [], env)).stats.uploaded, 1);
+
+        addFile(ws, "Videos/b.mp4", "faststart.mp4");
+        const run = await runWorker(ws, [], env);
+        assert.ok(run.logs.some(l => /Incremental sync: 1 changed/.test(l.msg)));
+        assert.equal(run.stats.uploaded, 1);
+        assert.deepEqual([...ws.mock.thumbnails.keys()].sort(), ["/Videos/a.mp4", "/Videos/b.mp4"]);
+    });
+
+    it("--force ignores every cache and uploads again", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4", "Videos/b.mkv": "clip.mkv" });
+        await runWorker(ws);
+
+        const run = await runWorker(ws, ["--force"]);
+        assert.equal(run.stats.uploaded, 2);
+        assert.equal(run.stats.skippedCache + run.stats.skippedExists, 0);
+    });
+
+    it("--watch keeps --path and --force", async () => {
+        ws = await createWorkspace({ "A/a.mp4": "faststart.mp4", "B/b.mp4": "faststart.mp4" });
+        await runWorker(ws);
+
+        ws.mock.requests.length = 0;
+        const run = await runWorker(ws, ["--watch", "--path", "/A", "--force"], {}, { stopOn: /"msg":"Scan complete"/ });
+        assert.equal(run.code, 0);
+        assert.equal(run.stats.uploaded, 1);
+        assert.ok(!davRequests(ws).some(r => r.path.includes("/B")));
+    });
+
+    it("--dry-run and --report leave the state database and the CSV caches alone", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4", "Videos/b.mp4": "faststart.mp4" });
+        const db = path.join(ws.dir, "localthumbs.db");
+        const csv = path.join(ws.dir, "thumb_cache.csv");
+        fs.writeFileSync(csv, "/Videos/a.mp4\n");
+        const env = { THUMB_CACHE: csv };
+
+        // The CSV is imported into the dry run's in-memory copy only
+        const dry = await runWorker(ws, ["--dry-run"], env);
+        assert.equal(dry.code, 0);
+        assert.equal(dryRunTotals(dry).skipCache, 1);
+        const report = await runWorker(ws, ["--report=json"], env);
+        assert.equal(report.code, 0);
+        // A --report without a format is a usage error, not a real run
+        for (const args of [["--report"], ["--report", "--path", "/Videos"]]) {
+            const bare = await runWorker(ws, args, env);
+            assert.equal(bare.code, 1);
+            assert.match(bare.output, /--report needs a format/);
+        }
+        assert.equal(ws.mock.thumbnails.size, 0);
+        assert.ok(!fs.existsSync(db));
+        assert.ok(fs.existsSync(csv));
+
+        const real = await runWorker(ws, [], env);
+        assert.equal(real.stats.uploaded, 1);
+        assert.ok(fs.existsSync(`${csv}.migrated`));
+
+        // An existing database isn't touched either
+        addFile(ws, "Videos/c.mp4", "faststart.mp4");
+        touchTree(ws, "Videos");
+        const before = fs.readFileSync(db);
+        const again = await runWorker(ws, ["--dry-run"]);
+        assert.equal(dryRunTotals(again).skipCache, 2);
+        assert.ok(fs.readFileSync(db).equals(before));
+        assert.deepEqual(fs.readdirSync(ws.dir).filter(f => f.startsWith("localthumbs.db")), ["localthumbs.db"]);
+    });
+
+    it("--delete-all-thumbs clears the server and the local caches", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        await runWorker(ws);
+        assert.equal(ws.mock.thumbnails.size, 1);
+
+        const del = await runWorker(ws, ["--delete-all-thumbs"]);
+        assert.equal(del.code, 0);
+        assert.equal(ws.mock.thumbnails.size, 0);
+
+        // Nothing cached any more: the next run walks and uploads again
+        const run = await runWorker(ws);
+        assert.equal(run.stats.uploaded, 1);
+    });
+});
@@ -0,0 +1,97 @@
+// Credentials: --login (Login Flow v2), secret files, systemd credentials and the keyring, and keeping them off ffmpeg's argv
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { spawnSync } from "child_process";
+import { createWorkspace, runWorker, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+const serverRoot = (ws) => ws.mock.davUrl.split("/remote.php")[0];
+
+// Wrappers that log their arguments before running the real tool
+function recordingTools(ws) {
+    const bin = path.join(ws.dir, "bin");
+    const argLog = path.join(ws.dir, "tool-args.log");
+    fs.mkdirSync(bin);
+    for (const tool of ["ffmpeg", "ffprobe"]) {
+        const real = spawnSync("sh", ["-c", `command -v ${tool}`], { encoding: "utf-8" }).stdout.trim();
+        fs.writeFileSync(path.join(bin, tool), `#!/bin/sh\necho "$@" >> "${argLog}"\nexec "${real}" "$@"\n`, { mode: 0o755 });
+    }
+    return { PATH: `${bin}${path.delimiter}${process.env.PATH}`, argLog };
+}
+
+describe("credentials", () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("--login stores an app password from Login Flow v2 in a private file", async () => {
+        ws = await createWorkspace();
+        const passFile = path.join(ws.dir, "secrets", "nc_pass");
+        fs.mkdirSync(path.dirname(passFile));
+        const run = await runWorker(ws, ["--login", serverRoot(ws)], { NC_URL: "", NC_PASS: "", NC_PASS_FILE: passFile });
+
+        assert.equal(run.code, 0);
+        assert.match(run.output, /\/index\.php\/login\/v2\/flow\//);
+        assert.equal(fs.readFileSync(passFile, "utf-8").trim(), ws.mock.appPasswords[0]);
+        assert.equal(fs.statSync(passFile).mode & 0o777, 0o600);
+        assert.ok(run.output.includes(`NC_URL=${ws.mock.davUrl}`));
+        assert.match(run.output, /NC_USER=admin/);
+        assert.ok(run.output.includes(`NC_PASS_FILE=${passFile}`));
+
+        // The stored password works for the worker
+        const list = await runWorker(ws, ["--list-failed"], { NC_PASS: "", NC_PASS_FILE: passFile });
+        assert.equal(list.code, 0);
+        assert.match(list.output, /No failed files/);
+    });
+
+    it("reads the password from a systemd credential", async () => {
+        ws = await createWorkspace();
+        const credentials = path.join(ws.dir, "credentials");
+        fs.mkdirSync(credentials);
+        fs.writeFileSync(path.join(credentials, "NC_PASS"), "secret\n");
+
+        const run = await runWorker(ws, ["--list-failed"], { NC_PASS: "", CREDENTIALS_DIRECTORY: credentials });
+        assert.equal(run.code, 0);
+        assert.match(run.output, /No failed files/);
+
+        const missing = await runWorker(ws, [], { NC_PASS: "", NC_PASS_FILE: path.join(ws.dir, "nope") });
+        assert.equal(missing.code, 1);
+        assert.match(missing.output, /Cannot read NC_PASS from/);
+    });
+
+    it("looks up a missing password and secret in the keyring", async () => {
+        ws = await createWorkspace();
+        // A stand-in for secret-tool that knows both entries of the account
+        const bin = path.join(ws.dir, "bin");
+        fs.mkdirSync(bin);
+        fs.writeFileSync(path.join(bin, "secret-tool"), [
+            "#!/bin/sh",
+            `[ "$1 $5" = "lookup admin@${new URL(ws.mock.davUrl).host}" ] || exit 1`,
+            'case "$3" in',
+            "    localthumbs-cli) echo secret ;;",
+            "    localthumbs-cli-secret) echo api-secret ;;",
+            "    *) exit 1 ;;",
+            "esac",
+            ""
+        ].join("\n"), { mode: 0o755 });
+
+        const run = await runWorker(ws, [], { NC_PASS: "", SECRET_STORE: "keyring", PATH: `${bin}${path.delimiter}${process.env.PATH}` });
+        assert.equal(run.code, 0);
+        const apiRequests = ws.mock.requests.filter(r => r.path.startsWith("/ocs/"));
+        assert.ok(apiRequests.length > 0);
+        assert.ok(apiRequests.every(r => r.secret === "api-secret"));
+    });
+
+    it("keeps the credentials off the ffmpeg command line", { skip: SKIP_WITHOUT_FFMPEG }, async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        const { PATH, argLog } = recordingTools(ws);
+        const run = await runWorker(ws, [], { PATH });
+
+        assert.equal(run.stats.uploaded, 1);
+        const args = fs.readFileSync(argLog, "utf-8");
+        assert.match(args, /http:\/\/127\.0\.0\.1:\d+\//);
+        assert.ok(!/Authorization|remote\.php|secret/.test(args));
+        assert.ok(!args.includes(Buffer.from("admin:secret").toString("base64")));
+    });
+});
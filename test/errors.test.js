@@ -0,0 +1,143 @@
+// Failures: undecodable files, server errors, bad credentials and configuration mistakes
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { createWorkspace, runWorker, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+// Moves a failed row's retry into the past, as if RETRY_BASE_MINUTES had gone by
+function expireBackoff(ws, relPath) {
+    const db = new Database(path.join(ws.dir, "localthumbs.db"));
+    try {
+        db.prepare("UPDATE files SET next_retry_at = ? WHERE path = ?").run(Date.now() - 1000, relPath);
+    } finally {
+        db.close();
+    }
+}
+
+describe("configuration", () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("exits with an error without credentials", async () => {
+        ws = await createWorkspace();
+        const run = await runWorker(ws, [], { NC_PASS: "" });
+        assert.equal(run.code, 1);
+        assert.match(run.output, /NC_URL, NC_USER and NC_PASS must be set/);
+    });
+
+    it("rejects an invalid WATCH_CRON before scanning", async () => {
+        ws = await createWorkspace();
+        const run = await runWorker(ws, ["--watch"], { WATCH_CRON: "bogus" });
+        assert.equal(run.code, 1);
+        assert.ok(run.logs.some(l => l.level === "error" && /^Invalid WATCH_CRON "bogus"/.test(l.msg)));
+        assert.doesNotMatch(run.output, /Fatal/);
+    });
+
+    it("exits with an error when the scan fails", async () => {
+        ws = await createWorkspace();
+        // TEMP_DIR below a plain file can't be created
+        fs.writeFileSync(path.join(ws.dir, "blocker"), "");
+        const run = await runWorker(ws, [], { TEMP_DIR: path.join(ws.dir, "blocker", "tmp") });
+        assert.equal(run.code, 1);
+        assert.ok(run.logs.some(l => l.level === "error" && /^Fatal/.test(l.msg)));
+    });
+
+    it("rejects conflicting commands", async () => {
+        ws = await createWorkspace();
+        const run = await runWorker(ws, ["--watch", "--delete-all-thumbs"]);
+        assert.equal(run.code, 1);
+    });
+});
+
+describe("error paths", { skip: SKIP_WITHOUT_FFMPEG }, () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("records undecodable files as failed and lists them", async () => {
+        ws = await createWorkspace({ "Videos/good.mp4": "faststart.mp4", "Videos/broken.mp4": "broken.mp4" });
+        const first = await runWorker(ws);
+        assert.equal(first.code, 0);
+        assert.equal(first.stats.uploaded, 1);
+        assert.equal(first.stats.failed, 1);
+        assert.ok(!ws.mock.thumbnails.has("/Videos/broken.mp4"));
+
+        const list = await runWorker(ws, ["--list-failed"]);
+        assert.match(list.output, /\/Videos\/broken\.mp4/);
+        assert.match(list.output, /1 failed file\(s\)/);
+
+        // Permanent failures wait for FAIL_EXPIRY_DAYS; --retry-failed tries right away
+        const retry = await runWorker(ws, ["--retry-failed"]);
+        assert.equal(retry.stats.failed, 1);
+        assert.equal(retry.stats.uploaded, 0);
+    });
+
+    it("treats a rejected upload as transient and backs off", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        ws.mock.faults.failUploads = true;
+        const first = await runWorker(ws);
+        assert.equal(first.stats.failed, 1);
+        assert.equal(ws.mock.thumbnails.size, 0);
+
+        const list = await runWorker(ws, ["--list-failed"]);
+        assert.match(list.output, /transient, 1 attempt\(s\).*retry after/);
+
+        // Nothing happens within the backoff
+        ws.mock.faults.failUploads = false;
+        const second = await runWorker(ws);
+        assert.equal(second.stats.uploaded, 0);
+        assert.equal(ws.mock.thumbnails.size, 0);
+
+        // Once it is over, the next run retries although the folder is cached and unchanged
+        expireBackoff(ws, "/Videos/a.mp4");
+        const third = await runWorker(ws);
+        assert.equal(third.stats.uploaded, 1);
+        assert.ok(ws.mock.thumbnails.has("/Videos/a.mp4"));
+    });
+
+    it("retries transient failures in incremental mode", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        ws.mock.faults.failUploads = true;
+        const env = { INCREMENTAL_MODE: "sync-collection" };
+        const first = await runWorker(ws, [], env);
+        assert.equal(first.stats.failed, 1);
+
+        // The change feed has nothing new; the retry comes from the state database
+        ws.mock.faults.failUploads = false;
+        expireBackoff(ws, "/Videos/a.mp4");
+        const second = await runWorker(ws, [], env);
+        assert.ok(second.logs.some(l => /Incremental sync: 0 changed/.test(l.msg)));
+        assert.equal(second.stats.uploaded, 1);
+        assert.ok(ws.mock.thumbnails.has("/Videos/a.mp4"));
+    });
+
+    it("--retry-failed doesn't wait for the backoff", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        ws.mock.faults.failUploads = true;
+        await runWorker(ws);
+
+        ws.mock.faults.failUploads = false;
+        const retry = await runWorker(ws, ["--retry-failed"]);
+        assert.equal(retry.stats.uploaded, 1);
+        assert.ok(ws.mock.thumbnails.has("/Videos/a.mp4"));
+    });
+
+    it("logs WebDAV errors for wrong credentials and uploads nothing", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        const run = await runWorker(ws, [], { NC_PASS: "wrong" });
+        assert.equal(run.code, 0);
+        assert.equal(run.stats.uploaded, 0);
+        assert.ok(run.logs.some(l => l.level === "error" && /WebDAV Stat Error/.test(l.msg)));
+        assert.equal(ws.mock.thumbnails.size, 0);
+    });
+
+    it("finishes the run when a folder can't be read", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        const run = await runWorker(ws, ["--path", "/Missing"]);
+        assert.equal(run.code, 0);
+        assert.ok(run.logs.some(l => /WebDAV Stat Error: \/Missing/.test(l.msg)));
+        assert.equal(run.stats.uploaded, 0);
+    });
+});
@@ -0,0 +1,161 @@
+// Shared fixtures for the end-to-end tests: generated sample media, a scratch workspace per test and a runner
+// that starts the worker (index.js) as a child process with JSON logs.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn, spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { createMockNextcloud } from "./mock-nextcloud.js";
+
+const REPO_ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const WORKER = path.join(REPO_ROOT, "index.js");
+
+const hasTool = (cmd) => spawnSync(cmd, ["-version"], { stdio: "ignore" }).status === 0;
+export const HAS_FFMPEG = hasTool("ffmpeg") && hasTool("ffprobe");
+export const SKIP_WITHOUT_FFMPEG = HAS_FFMPEG ? false : "ffmpeg/ffprobe not found in PATH";
+
+// Generated once per process. mpeg4 is built into every ffmpeg, unlike libx264.
+const SAMPLE_SPECS = {
+    "faststart.mp4": ["-c:v", "mpeg4", "-g", "25", "-movflags", "+faststart"],
+    "moov-at-end.mp4": ["-c:v", "mpeg4", "-g", "25"],
+    "clip.mkv": ["-c:v", "mpeg4", "-g", "25"],
+    // Several stream proxy chunks, index at the end
+    "large.mp4": ["-c:v", "mpeg4", "-b:v", "4M", "-g", "25"]
+};
+let sampleDir = null;
+
+export function sample(name) {
+    if (!sampleDir) {
+        sampleDir = fs.mkdtempSync(path.join(os.tmpdir(), "localthumbs-samples-"));
+        process.on("exit", () => fs.rmSync(sampleDir, { recursive: true, force: true }));
+    }
+    const file = path.join(sampleDir, name);
+    if (fs.existsSync(file)) return file;
+
+    if (name === "broken.mp4") {
+        // Random bytes behind a plausible name: every stage fails
+        fs.writeFileSync(file, Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => (i * 7919) % 251)));
+        return file;
+    }
+    if (name === "portrait.mp4") {
+        // A landscape stream that phones mark for display turned by 90°, with creation time and GPS tags
+        const res = spawnSync("ffmpeg", [
+            "-v", "error", "-i", sample("faststart.mp4"), "-c", "copy", "-metadata:s:v:0", "rotate=90",
+            "-metadata", "creation_time=2024-05-01T12:00:00Z", "-metadata", "location=+48.8577+002.2950/",
+            "-movflags", "+faststart", "-y", file
+        ]);
+        if (res.status !== 0) throw new Error(`Generating ${name} failed: ${res.stderr}`);
+        return file;
+    }
+    const res = spawnSync("ffmpeg", [
+        "-v", "error", "-f", "lavfi", "-i", "testsrc2=size=320x240:rate=25", "-t", "12",
+        "-pix_fmt", "yuv420p", ...SAMPLE_SPECS[name], "-y", file
+    ]);
+    if (res.status !== 0) throw new Error(`Generating ${name} failed: ${res.stderr}`);
+    return file;
+}
+
+// A folder tree for the mock server (files: { "Videos/a.mp4": "faststart.mp4" }) and a state folder for the worker
+export async function createWorkspace(files = {}, mockOptions = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "localthumbs-e2e-"));
+    const root = path.join(dir, "files");
+    fs.mkdirSync(root);
+    for (const [rel, sampleName] of Object.entries(files)) addFile({ root }, rel, sampleName);
+
+    const mock = createMockNextcloud({ root, ...mockOptions });
+    await mock.listen();
+    return {
+        dir,
+        root,
+        mock,
+        async cleanup() {
+            await mock.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+export function addFile(ws, rel, sampleName) {
+    const dest = path.join(ws.root, rel);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(sample(sampleName), dest);
+    return dest;
+}
+
+// Folder lastmod has one-second resolution; push the tree into the future so the folder cache sees a change
+export function touchTree(ws, rel = "") {
+    const future = new Date(Date.now() + 60 * 1000);
+    let p = path.join(ws.root, rel);
+    for (;;) {
+        fs.utimesSync(p, future, future);
+        if (path.resolve(p) === path.resolve(ws.root)) break;
+        p = path.dirname(p);
+    }
+}
+
+// Runs the worker once against the workspace. Resolves with the exit code, the parsed JSON log lines, the
+// raw output and the per-run stats of the summary line (null if the run didn't get that far).
+// `stopOn` (a RegExp) sends SIGTERM once the output matches it, e.g. to end --watch after its first scan.
+export function runWorker(ws, args = [], env = {}, { stopOn } = {}) {
+    const childEnv = {
+        PATH: process.env.PATH,
+        HOME: process.env.HOME,
+        NC_URL: ws.mock.davUrl,
+        NC_USER: "admin",
+        NC_PASS: "secret",
+        TEMP_DIR: path.join(ws.dir, "tmp"),
+        STATE_DB: path.join(ws.dir, "localthumbs.db"),
+        LOG_FORMAT: "json",
+        ...env
+    };
+    return new Promise((resolve, reject) => {
+        // cwd is the workspace so dotenv never picks up a developer's .env
+        const child = spawn(process.execPath, [WORKER, ...args], { cwd: ws.dir, env: childEnv });
+        let stdout = "";
+        let stderr = "";
+        let stopped = false;
+        child.stdout.on("data", d => {
+            stdout += d;
+            if (stopOn && !stopped && stopOn.test(stdout)) {
+                stopped = true;
+                child.kill("SIGTERM");
+            }
+        });
+        child.stderr.on("data", d => { stderr += d; });
+        const timer = setTimeout(() => child.kill("SIGKILL"), 120 * 1000);
+        child.on("error", reject);
+        child.on("close", code => {
+            clearTimeout(timer);
+            const logs = [];
+            for (const line of (stdout + stderr).split("\n")) {
+                try {
+                    logs.push(JSON.parse(line));
+                } catch {
+                    // --help, --list-failed and config errors print plain text
+                }
+            }
+            const summary = logs.find(l => /^Scan (complete|paused|interrupted)$/.test(l.msg));
+            resolve({ code, logs, output: stdout + stderr, stats: summary?.data.targets.default ?? null });
+        });
+    });
+}
+
+// Video pipeline stages ("1", "2", "3") attempted for a file, in order
+export const stagesFor = (run, relPath) => run.logs
+    .filter(l => l.file === relPath)
+    .map(l => /Attempt (\d)/.exec(l.msg)?.[1])
+    .filter(Boolean);
+
+export const isJpeg = (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[buf.length - 2] === 0xff && buf[buf.length - 1] === 0xd9;
+
+// Width and height from the first SOF marker
+export function jpegSize(buf) {
+    for (let offset = 2; offset + 9 < buf.length; offset += 2 + buf.readUInt16BE(offset + 2)) {
+        const marker = buf[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,138 @@
+// The library API: createThumbnailer() in-process, its events and hooks
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createThumbnailer, ConfigError } from "../lib/thumbnailer.js";
+import { createWorkspace, isJpeg, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+const configFor = (ws, extra = {}) => ({
+    NC_URL: ws.mock.davUrl,
+    NC_USER: "admin",
+    NC_PASS: "secret",
+    TEMP_DIR: path.join(ws.dir, "tmp"),
+    STATE_DB: path.join(ws.dir, "localthumbs.db"),
+    logger: { debug() {}, info() {}, warn() {}, error() {} },
+    ...extra
+});
+
+// Collects every event of the instance as [name, payload]
+function recordEvents(thumbnailer) {
+    const events = [];
+    for (const name of ["fileStart", "stage", "upload", "skip", "failure", "scanComplete"]) {
+        thumbnailer.on(name, payload => events.push([name, payload]));
+    }
+    return events;
+}
+
+describe("library", () => {
+    let ws;
+    let thumbnailer;
+    afterEach(async () => {
+        await thumbnailer?.close();
+        thumbnailer = null;
+        await ws?.cleanup();
+    });
+
+    it("throws a ConfigError instead of exiting", async () => {
+        ws = await createWorkspace();
+        assert.throws(() => createThumbnailer(configFor(ws, { NC_PASS: "" })), ConfigError);
+        assert.throws(() => createThumbnailer(configFor(ws, { THUMB_SIZES: "huge" })), ConfigError);
+        // February 31st never comes
+        assert.throws(() => createThumbnailer(configFor(ws, { WATCH_CRON: "0 0 31 2 *" })), ConfigError);
+        // ...but with a day of the week as well, either day field may match: any Monday in February
+        thumbnailer = createThumbnailer(configFor(ws, { WATCH_CRON: "0 0 31 2 1" }));
+    });
+
+    it("emits file events and returns the stats", { skip: SKIP_WITHOUT_FFMPEG }, async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        thumbnailer = createThumbnailer(configFor(ws));
+        const events = recordEvents(thumbnailer);
+
+        const result = await thumbnailer.scanFolder("/Videos");
+        assert.equal(result.status, "complete");
+        assert.equal(result.targets.default.uploaded, 1);
+        assert.deepEqual(events.map(([name]) => name), ["fileStart", "stage", "upload", "scanComplete"]);
+        assert.deepEqual([events[0][1].target, events[0][1].path, events[0][1].generator], ["default", "/Videos/a.mp4", "video"]);
+        assert.equal(events[1][1].stage, "1");
+        assert.ok(isJpeg(ws.mock.thumbnails.get("/Videos/a.mp4").thumbnail));
+
+        // Second scan: the folder cache skips the walk, processFile() bypasses it
+        events.length = 0;
+        await thumbnailer.scan();
+        assert.deepEqual(events.map(([name]) => name), ["scanComplete"]);
+        assert.equal(await thumbnailer.processFile("/Videos/a.mp4"), "uploaded");
+        assert.ok(events.some(([name, e]) => name === "upload" && e.path === "/Videos/a.mp4"));
+    });
+
+    it("lets hooks skip files and rewrite the thumbnail", { skip: SKIP_WITHOUT_FFMPEG }, async () => {
+        ws = await createWorkspace({ "Videos/keep.mp4": "faststart.mp4", "Videos/drop.mkv": "clip.mkv" });
+        const seen = [];
+        const marker = Buffer.from("rewritten by beforeUpload");
+        thumbnailer = createThumbnailer(configFor(ws, {
+            hooks: {
+                shouldProcess: ({ path: relPath }) => relPath !== "/Videos/drop.mkv",
+                beforeUpload: ({ path: relPath, file }) => {
+                    seen.push(relPath);
+                    fs.appendFileSync(file, marker);
+                }
+            }
+        }));
+        const skips = [];
+        thumbnailer.on("skip", e => skips.push(e));
+
+        const result = await thumbnailer.scan();
+        assert.equal(result.targets.default.uploaded, 1);
+        assert.equal(result.targets.default.skippedHook, 1);
+        assert.deepEqual(skips.map(s => [s.path, s.reason]), [["/Videos/drop.mkv", "hook"]]);
+        assert.deepEqual(seen, ["/Videos/keep.mp4"]);
+        assert.ok(ws.mock.thumbnails.get("/Videos/keep.mp4").thumbnail.subarray(-marker.length).equals(marker));
+        assert.ok(!ws.mock.thumbnails.has("/Videos/drop.mkv"));
+    });
+
+    it("applies the watch() options to every scan", { skip: SKIP_WITHOUT_FFMPEG }, async () => {
+        ws = await createWorkspace({ "A/a.mp4": "faststart.mp4", "B/b.mp4": "faststart.mp4" });
+        thumbnailer = createThumbnailer(configFor(ws, { WATCH_INTERVAL_MINUTES: "0.001" }));
+        const results = [];
+        thumbnailer.on("scanComplete", result => {
+            results.push(result);
+            if (results.length === 2) thumbnailer.stop();
+        });
+
+        await thumbnailer.watch({ path: "/A", force: true });
+        // force uploads /A/a.mp4 again on the second scan, /B stays outside the path
+        assert.deepEqual(results.map(r => r.targets.default.uploaded), [1, 1]);
+        assert.ok(!ws.mock.thumbnails.has("/B/b.mp4"));
+    });
+
+    it("sleeps until a slot beyond the timer limit and leaves no timer behind", async () => {
+        ws = await createWorkspace();
+        const timers = () => process.getActiveResourcesInfo().filter(r => r === "Timeout").length;
+        const before = timers();
+        // About 34.7 days, longer than a single setTimeout can wait
+        thumbnailer = createThumbnailer(configFor(ws, { WATCH_INTERVAL_MINUTES: "50000" }));
+        const results = [];
+        thumbnailer.on("scanComplete", result => {
+            results.push(result);
+            setTimeout(() => thumbnailer.stop(), 300);
+        });
+
+        await thumbnailer.watch();
+        assert.equal(results.length, 1);
+        await thumbnailer.close();
+        assert.equal(timers(), before);
+    });
+
+    it("reports failures through the event", { skip: SKIP_WITHOUT_FFMPEG }, async () => {
+        ws = await createWorkspace({ "Videos/broken.mp4": "broken.mp4" });
+        thumbnailer = createThumbnailer(configFor(ws));
+        const failures = [];
+        thumbnailer.on("failure", e => failures.push(e));
+
+        assert.equal(await thumbnailer.processFile("/Videos/broken.mp4"), "failed");
+        assert.equal(failures.length, 1);
+        assert.ok(failures[0].error instanceof Error);
+        assert.equal(thumbnailer.listFailed().default.length, 1);
+    });
+});
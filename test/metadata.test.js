@@ -0,0 +1,74 @@
+// VIDEO_METADATA: probed metadata in the state database and the upload, and rotated (portrait) videos
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import Database from "better-sqlite3";
+import { createWorkspace, runWorker, stagesFor, jpegSize, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+const storedMetadata = (ws, relPath) => {
+    const db = new Database(path.join(ws.dir, "localthumbs.db"), { readonly: true });
+    try {
+        return JSON.parse(db.prepare("SELECT metadata FROM files WHERE path = ?").get(relPath).metadata);
+    } finally {
+        db.close();
+    }
+};
+
+describe("video metadata", { skip: SKIP_WITHOUT_FFMPEG }, () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("stores the metadata and uploads it to servers with the metadata capability", async () => {
+        ws = await createWorkspace({ "Videos/p.mp4": "portrait.mp4" }, { capabilities: { batch_exists: true, metadata: true } });
+        const run = await runWorker(ws, [], { VIDEO_METADATA: "true" });
+        assert.equal(run.stats.uploaded, 1);
+
+        const uploaded = ws.mock.thumbnails.get("/Videos/p.mp4").metadata;
+        assert.equal(uploaded.width, 240);
+        assert.equal(uploaded.height, 320);
+        assert.ok([90, 270].includes(uploaded.rotation));
+        assert.equal(uploaded.videoCodec, "mpeg4");
+        assert.ok(uploaded.duration > 11 && uploaded.duration < 13);
+        assert.ok(uploaded.bitrate > 0);
+        assert.equal(uploaded.creationTime, "2024-05-01T12:00:00.000Z");
+        assert.deepEqual(uploaded.location, { latitude: 48.8577, longitude: 2.295 });
+        assert.deepEqual(storedMetadata(ws, "/Videos/p.mp4"), uploaded);
+        // Stage 1 turned the frame upright
+        assert.deepEqual(stagesFor(run, "/Videos/p.mp4"), ["1"]);
+        const { width, height } = jpegSize(ws.mock.thumbnails.get("/Videos/p.mp4").thumbnail);
+        assert.ok(height > width);
+    });
+
+    it("keeps the metadata local without the capability", async () => {
+        ws = await createWorkspace({ "Videos/p.mp4": "portrait.mp4" });
+        const run = await runWorker(ws, [], { VIDEO_METADATA: "true" });
+        assert.equal(run.stats.uploaded, 1);
+        assert.equal(ws.mock.thumbnails.get("/Videos/p.mp4").metadata, null);
+        assert.equal(storedMetadata(ws, "/Videos/p.mp4").height, 320);
+        assert.ok(run.logs.some(l => /does not advertise the 'metadata' capability/.test(l.msg)));
+    });
+
+    it("sends nothing unless VIDEO_METADATA is on", async () => {
+        ws = await createWorkspace({ "Videos/p.mp4": "portrait.mp4" }, { capabilities: { metadata: true } });
+        await runWorker(ws);
+        assert.equal(ws.mock.thumbnails.get("/Videos/p.mp4").metadata, null);
+        assert.equal(storedMetadata(ws, "/Videos/p.mp4"), null);
+    });
+
+    it("turns rotated videos upright after falling back", async () => {
+        ws = await createWorkspace({ "Videos/p.mp4": "portrait.mp4", "Videos/q.mkv": "clip.mkv" },
+            { capabilities: { batch_exists: true, variants: true } });
+        ws.mock.faults.rejectStreaming = true;
+        const run = await runWorker(ws, [], { CONTACT_SHEET: "2x2" });
+        assert.equal(run.stats.uploaded, 2);
+        assert.deepEqual(stagesFor(run, "/Videos/p.mp4"), ["1", "2"]);
+
+        const { thumbnail, variants } = ws.mock.thumbnails.get("/Videos/p.mp4");
+        assert.deepEqual(jpegSize(thumbnail), { width: 1024, height: 1366 });
+        const sheet = jpegSize(variants.find(v => v.name === "sheet.jpg").data);
+        assert.ok(sheet.height > sheet.width);
+        // Unrotated videos keep their landscape shape
+        assert.deepEqual(jpegSize(ws.mock.thumbnails.get("/Videos/q.mkv").thumbnail), { width: 1024, height: 768 });
+    });
+});
@@ -0,0 +1,291 @@
+// Stand-in for a Nextcloud instance with the localthumbs app, serving a local folder as the user's files.
+// Implements what the worker talks to: WebDAV PROPFIND/GET (with Range) and sync-collection REPORT (sync tokens are
+// timestamps, changes are files with a newer mtime), the OCS capabilities and user routes,
+// Login Flow v2 and the /apps/localthumbs/thumbnail/* API. Uploaded thumbnails are kept in memory.
+//
+// Standalone: node test/mock-nextcloud.js <folder> [port]   (user "admin", password "secret")
+
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DAV_ROOT = "/remote.php/dav/files";
+const API_ROOT = "/index.php/apps/localthumbs/thumbnail/";
+
+// Nextcloud propagates mtime changes to every parent folder; the newest mtime below a folder emulates that
+function treeMtime(fp) {
+    const st = fs.statSync(fp);
+    if (!st.isDirectory()) return st.mtimeMs;
+    return Math.max(st.mtimeMs, ...fs.readdirSync(fp).map(f => treeMtime(path.join(fp, f))));
+}
+
+const escapeXml = (str) => String(str).replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`);
+
+function propEntry(davPrefix, rel, fp) {
+    const st = fs.statSync(fp);
+    const mtime = treeMtime(fp);
+    const dir = st.isDirectory();
+    const href = davPrefix + rel.split("/").map(encodeURIComponent).join("/") + (dir && !rel.endsWith("/") ? "/" : "");
+    const props = [
+        `<d:getlastmodified>${new Date(mtime).toUTCString()}</d:getlastmodified>`,
+        `<d:getetag>"${Math.floor(mtime).toString(16)}${st.size.toString(16)}"</d:getetag>`,
+        `<oc:fileid>${st.ino}</oc:fileid>`,
+        dir
+            ? "<d:resourcetype><d:collection/></d:resourcetype>"
+            : `<d:resourcetype/><d:getcontentlength>${st.size}</d:getcontentlength><d:getcontenttype>application/octet-stream</d:getcontenttype>`
+    ];
+    return `<d:response><d:href>${escapeXml(href)}</d:href><d:propstat><d:prop>${props.join("")}</d:prop>` +
+        "<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>";
+}
+
+// Files below fp, for the sync-collection REPORT
+function listFiles(rel, fp) {
+    if (!fs.statSync(fp).isDirectory()) return [[rel, fp]];
+    return fs.readdirSync(fp).sort().flatMap(f => listFiles(path.posix.join(rel, f), path.join(fp, f)));
+}
+
+// Minimal multipart/form-data parser: { name: { filename, data } }, repeated names ("variant[]") as arrays
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || "");
+    if (!boundary) return {};
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const fields = {};
+    let pos = body.indexOf(delimiter);
+    while (pos !== -1) {
+        const start = pos + delimiter.length + 2; // Skip CRLF
+        const next = body.indexOf(delimiter, start);
+        if (next === -1) break;
+        const part = body.subarray(start, next - 2);
+        const headerEnd = part.indexOf("\r\n\r\n");
+        const headers = part.subarray(0, headerEnd).toString("utf-8");
+        const name = /name="([^"]*)"/.exec(headers)?.[1];
+        if (name !== undefined) {
+            const value = { filename: /filename="([^"]*)"/.exec(headers)?.[1] ?? null, data: part.subarray(headerEnd + 4) };
+            if (name.endsWith("[]")) (fields[name] ??= []).push(value);
+            else fields[name] = value;
+        }
+        pos = next;
+    }
+    return fields;
+}
+
+// `faults` can be changed between runs:
+//   rejectStreaming     - 503 for ffmpeg's own requests (User-Agent "Lavf"), so video stage 1 fails
+//   rejectBoundedRanges - 416 for "bytes=a-b" requests, so stage 2 (partial and moov-aware reads) fails
+//   failUploads         - the upload endpoint answers 500
+//   failGets            - the next n file GETs answer 503 (counts down)
+// Login Flow v2 is approved on the second poll; the app password it hands out is accepted from then on.
+export function createMockNextcloud({ root, user = "admin", pass = "secret", capabilities = { batch_exists: true } } = {}) {
+    // Encoded like the URL --login builds, so user IDs such as "a@b" keep their escapes in every href
+    const davPrefix = `${DAV_ROOT}/${encodeURIComponent(user)}`;
+    const basicAuth = (password) => "Basic " + Buffer.from(`${user}:${password}`).toString("base64");
+    const validAuth = new Set([basicAuth(pass)]);
+    const loginFlows = new Map(); // poll token -> number of polls so far
+    const appPasswords = [];
+    const thumbnails = new Map(); // relPath -> { thumbnail: Buffer, variants: [...], metadata }
+    const requests = [];
+    const faults = { rejectStreaming: false, rejectBoundedRanges: false, failUploads: false, failGets: 0 };
+
+    const json = (res, data, status = 200) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+    };
+
+    function serveDav(req, res, url, body) {
+        const rel = decodeURIComponent(url.pathname.substring(davPrefix.length)) || "/";
+        const fp = path.join(root, rel);
+        if (!path.resolve(fp).startsWith(path.resolve(root)) || !fs.existsSync(fp)) {
+            res.writeHead(404).end();
+            return;
+        }
+        const st = fs.statSync(fp);
+
+        const multistatus = (out, extra = "") => {
+            res.writeHead(207, { "Content-Type": "application/xml; charset=utf-8" });
+            res.end(`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">${out}${extra}</d:multistatus>`);
+        };
+        const requestBody = body.toString("utf-8");
+
+        if (req.method === "PROPFIND" && requestBody.includes("<d:sync-token/>")) {
+            const href = escapeXml(`${davPrefix}${rel}`);
+            return multistatus(`<d:response><d:href>${href}</d:href><d:propstat><d:prop><d:sync-token>${Date.now()}</d:sync-token>`
+                + "</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>");
+        }
+        if (req.method === "REPORT") {
+            const since = parseInt(/<d:sync-token>([^<]*)</.exec(requestBody)?.[1]) || 0;
+            const token = Date.now();
+            const changed = listFiles(rel, fp).filter(([, f]) => fs.statSync(f).mtimeMs > since);
+            return multistatus(changed.map(([r, f]) => propEntry(davPrefix, r, f)).join(""), `<d:sync-token>${token}</d:sync-token>`);
+        }
+
+        if (req.method === "PROPFIND") {
+            let out = propEntry(davPrefix, rel, fp);
+            if (st.isDirectory() && req.headers.depth === "1") {
+                for (const f of fs.readdirSync(fp).sort()) out += propEntry(davPrefix, path.posix.join(rel, f), path.join(fp, f));
+            }
+            return multistatus(out);
+        }
+
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405).end();
+            return;
+        }
+        if (st.isDirectory()) {
+            res.writeHead(400).end();
+            return;
+        }
+        if (faults.failGets > 0) {
+            faults.failGets--;
+            res.writeHead(503).end();
+            return;
+        }
+        if (faults.rejectStreaming && /Lavf/.test(req.headers["user-agent"] || "")) {
+            res.writeHead(503).end();
+            return;
+        }
+
+        const etag = `"${Math.floor(st.mtimeMs).toString(16)}${st.size.toString(16)}"`;
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+        const ifRange = req.headers["if-range"];
+        if (range && (!ifRange || ifRange === etag)) {
+            if (faults.rejectBoundedRanges && range[2] !== "") {
+                res.writeHead(416).end();
+                return;
+            }
+            const start = parseInt(range[1]);
+            const end = Math.min(range[2] === "" ? st.size - 1 : parseInt(range[2]), st.size - 1);
+            if (start >= st.size) {
+                res.writeHead(416, { "Content-Range": `bytes */${st.size}` }).end();
+                return;
+            }
+            res.writeHead(206, { "Content-Range": `bytes ${start}-${end}/${st.size}`, "Content-Length": end - start + 1, "Accept-Ranges": "bytes", ETag: etag });
+            if (req.method === "HEAD") res.end();
+            else fs.createReadStream(fp, { start, end }).pipe(res);
+            return;
+        }
+        res.writeHead(200, { "Content-Length": st.size, "Accept-Ranges": "bytes", ETag: etag });
+        if (req.method === "HEAD") res.end();
+        else fs.createReadStream(fp).pipe(res);
+    }
+
+    function serveApi(req, res, op, body) {
+        const params = () => JSON.parse(body.toString("utf-8") || "{}");
+        switch (op) {
+            case "exists":
+                return json(res, { exists: thumbnails.has(new URL(req.url, "http://mock").searchParams.get("path")) });
+            case "batch_exists": {
+                if (!capabilities.batch_exists) break;
+                const { paths } = params();
+                return json(res, { status: "success", results: Object.fromEntries(paths.map(p => [p, thumbnails.has(p)])) });
+            }
+            case "upload": {
+                if (faults.failUploads) return json(res, { status: "error", message: "Upload rejected by mock" }, 500);
+                const fields = parseMultipart(body, req.headers["content-type"]);
+                const relPath = fields.path?.data.toString("utf-8");
+                if (!relPath || !fields.thumbnail) return json(res, { status: "error", message: "path and thumbnail are required" }, 400);
+                thumbnails.set(relPath, {
+                    thumbnail: fields.thumbnail.data,
+                    variants: (fields["variant[]"] || []).map(v => ({ name: v.filename, data: v.data })),
+                    metadata: fields.metadata ? JSON.parse(fields.metadata.data.toString("utf-8")) : null
+                });
+                return json(res, { status: "success" });
+            }
+            case "move": {
+                if (!capabilities.move) break;
+                const { from, to } = params();
+                if (!thumbnails.has(from)) return json(res, { status: "error", message: "No thumbnail" });
+                thumbnails.set(to, thumbnails.get(from));
+                thumbnails.delete(from);
+                return json(res, { status: "success" });
+            }
+            case "delete":
+                if (!capabilities.delete) break;
+                thumbnails.delete(params().path);
+                return json(res, { status: "success" });
+            case "batch_delete":
+                if (!capabilities.batch_delete) break;
+                params().paths.forEach(p => thumbnails.delete(p));
+                return json(res, { status: "success" });
+            case "deleteAll": {
+                const count = thumbnails.size;
+                thumbnails.clear();
+                return json(res, { status: "success", message: `Deleted ${count} thumbnail(s)` });
+            }
+        }
+        res.writeHead(404).end();
+    }
+
+    function serveLoginFlow(req, res, url, body) {
+        const base = `http://${req.headers.host}`;
+        if (url.pathname === "/index.php/login/v2") {
+            const token = `token-${loginFlows.size + 1}`;
+            loginFlows.set(token, 0);
+            return json(res, { poll: { token, endpoint: `${base}/index.php/login/v2/poll` }, login: `${base}/index.php/login/v2/flow/${token}` });
+        }
+        const token = new URLSearchParams(body.toString("utf-8")).get("token");
+        if (!loginFlows.has(token)) return res.writeHead(404).end();
+        const polls = loginFlows.get(token) + 1;
+        loginFlows.set(token, polls);
+        if (polls < 2) return res.writeHead(404).end();
+
+        loginFlows.delete(token);
+        const appPassword = `app-password-${appPasswords.length + 1}`;
+        appPasswords.push(appPassword);
+        validAuth.add(basicAuth(appPassword));
+        return json(res, { server: base, loginName: user, appPassword });
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const body = Buffer.concat(chunks);
+        const url = new URL(req.url, "http://mock");
+        requests.push({ method: req.method, path: decodeURIComponent(url.pathname), range: req.headers.range ?? null, userAgent: req.headers["user-agent"] ?? null, secret: req.headers["x-localthumbs-secret"] ?? null });
+
+        if (req.method === "POST" && url.pathname.startsWith("/index.php/login/v2")) return serveLoginFlow(req, res, url, body);
+        if (!validAuth.has(req.headers.authorization)) {
+            res.writeHead(401, { "WWW-Authenticate": 'Basic realm="mock"' }).end();
+            return;
+        }
+        if (url.pathname.startsWith(davPrefix)) return serveDav(req, res, url, body);
+        if (url.pathname === "/ocs/v2.php/cloud/capabilities") {
+            return json(res, { ocs: { meta: { status: "ok" }, data: { capabilities: { localthumbs: { features: capabilities } } } } });
+        }
+        if (url.pathname === "/ocs/v2.php/cloud/user") {
+            return json(res, { ocs: { meta: { status: "ok" }, data: { id: user } } });
+        }
+        if (url.pathname.startsWith(API_ROOT)) return serveApi(req, res, url.pathname.substring(API_ROOT.length), body);
+        res.writeHead(404).end();
+    });
+
+    return {
+        thumbnails,
+        requests,
+        faults,
+        capabilities,
+        appPasswords,
+        davUrl: null,
+
+        async listen(port = 0, host = "127.0.0.1") {
+            await new Promise((resolve, reject) => server.once("error", reject).listen(port, host, resolve));
+            this.davUrl = `http://${host}:${server.address().port}${davPrefix}/`;
+            return this.davUrl;
+        },
+
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const [root, port] = process.argv.slice(2);
+    if (!root) {
+        console.error("Usage: node test/mock-nextcloud.js <folder> [port]");
+        process.exit(1);
+    }
+    const mock = createMockNextcloud({ root: path.resolve(root), capabilities: { batch_exists: true, move: true, delete: true } });
+    mock.listen(parseInt(port) || 8080).then(url => console.log(`Mock Nextcloud serving ${root} as ${url} (admin / secret)`));
+}
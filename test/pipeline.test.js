@@ -0,0 +1,84 @@
+// The three video stages: remote stream, partial download (moov-aware for MP4/MOV, first 100MB otherwise)
+// and the full download fallback.
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createWorkspace, runWorker, stagesFor, isJpeg, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+describe("video pipeline", { skip: SKIP_WITHOUT_FFMPEG }, () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("stage 1 streams the video and uploads a JPEG", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "faststart.mp4" });
+        const run = await runWorker(ws);
+
+        assert.equal(run.code, 0);
+        assert.equal(run.stats.uploaded, 1);
+        assert.deepEqual(stagesFor(run, "/Videos/a.mp4"), ["1"]);
+        assert.ok(isJpeg(ws.mock.thumbnails.get("/Videos/a.mp4").thumbnail));
+        // ffmpeg seeks with Range instead of reading the whole file
+        assert.ok(ws.mock.requests.some(r => /Lavf/.test(r.userAgent) && r.range));
+    });
+
+    it("stage 1 fetches every byte once through the proxy and retries transient errors", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "large.mp4" });
+        ws.mock.faults.failGets = 2;
+        const run = await runWorker(ws, [], { FRAME_STRATEGY: "smart" });
+
+        assert.equal(run.stats.uploaded, 1);
+        assert.deepEqual(stagesFor(run, "/Videos/a.mp4"), ["1"]);
+        // ffprobe and every ffmpeg seek share the job's chunks: no range is fetched twice
+        const ranges = ws.mock.requests.filter(r => r.method === "GET" && /Lavf/.test(r.userAgent)).map(r => r.range);
+        const fetched = ranges.slice(2);
+        assert.ok(fetched.length > 1 && fetched.every(r => /^bytes=\d+-\d+$/.test(r)));
+        assert.equal(new Set(fetched).size, fetched.length);
+        assert.equal(ranges[0], ranges[1], "the failed chunk is retried");
+        // The log reports exactly the bytes the server sent
+        const size = fs.statSync(path.join(ws.root, "Videos/a.mp4")).size;
+        const sent = fetched.reduce((sum, r) => {
+            const [start, end] = r.substring(6).split("-").map(Number);
+            return sum + Math.min(end, size - 1) - start + 1;
+        }, 0);
+        const line = run.logs.find(l => /^\[i\] Stage 1 fetched/.test(l.msg));
+        assert.equal(Number(/fetched (\d+) bytes/.exec(line.msg)[1]), sent);
+    });
+
+    it("stage 2 fetches only moov and the needed samples of an MP4 with the index at the end", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "moov-at-end.mp4" });
+        ws.mock.faults.rejectStreaming = true;
+        const run = await runWorker(ws);
+
+        assert.equal(run.stats.uploaded, 1);
+        assert.deepEqual(stagesFor(run, "/Videos/a.mp4"), ["1", "2"]);
+        assert.ok(run.logs.some(l => /moov-aware fetch/.test(l.msg)));
+        assert.ok(isJpeg(ws.mock.thumbnails.get("/Videos/a.mp4").thumbnail));
+        // No plain download of the whole file
+        const gets = ws.mock.requests.filter(r => r.method === "GET" && r.path.endsWith("/Videos/a.mp4") && !/Lavf/.test(r.userAgent));
+        assert.ok(gets.length > 0 && gets.every(r => /^bytes=\d+-\d+$/.test(r.range)));
+    });
+
+    it("stage 2 downloads the beginning of other containers", async () => {
+        ws = await createWorkspace({ "Videos/a.mkv": "clip.mkv" });
+        ws.mock.faults.rejectStreaming = true;
+        const run = await runWorker(ws);
+
+        assert.equal(run.stats.uploaded, 1);
+        assert.deepEqual(stagesFor(run, "/Videos/a.mkv"), ["1", "2"]);
+        assert.ok(!run.logs.some(l => /moov-aware fetch:/.test(l.msg)));
+        assert.ok(isJpeg(ws.mock.thumbnails.get("/Videos/a.mkv").thumbnail));
+    });
+
+    it("stage 3 downloads the whole file when partial reads fail", async () => {
+        ws = await createWorkspace({ "Videos/a.mp4": "moov-at-end.mp4" });
+        ws.mock.faults.rejectStreaming = true;
+        ws.mock.faults.rejectBoundedRanges = true;
+        const run = await runWorker(ws);
+
+        assert.equal(run.stats.uploaded, 1);
+        assert.deepEqual(stagesFor(run, "/Videos/a.mp4"), ["1", "2", "3"]);
+        assert.ok(isJpeg(ws.mock.thumbnails.get("/Videos/a.mp4").thumbnail));
+    });
+});
@@ -0,0 +1,59 @@
+// Targeted commands: --regenerate and --delete-thumbs with a single file, a folder and a glob
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createWorkspace, runWorker, SKIP_WITHOUT_FFMPEG } from "./helpers.js";
+
+const FILES = {
+    "Videos/a.mp4": "faststart.mp4",
+    "Videos/b.mkv": "clip.mkv",
+    "Videos/Sub/c.mp4": "faststart.mp4",
+    "Other/d.mp4": "faststart.mp4"
+};
+
+const uploadedPaths = (run) => run.logs
+    .map(l => /^\[↑\] Uploading thumb: (\S+)/.exec(l.msg)?.[1])
+    .filter(Boolean)
+    .sort();
+
+describe("targeted commands", { skip: SKIP_WITHOUT_FFMPEG }, () => {
+    let ws;
+    afterEach(() => ws?.cleanup());
+
+    it("--regenerate takes a file, a folder or a glob", async () => {
+        ws = await createWorkspace(FILES);
+        assert.equal((await runWorker(ws)).stats.uploaded, 4);
+
+        const file = await runWorker(ws, ["--regenerate", "/Videos/a.mp4"]);
+        assert.equal(file.code, 0);
+        assert.deepEqual(uploadedPaths(file), ["/Videos/a.mp4"]);
+        assert.ok(!file.logs.some(l => l.level === "error"));
+
+        const folder = await runWorker(ws, ["--regenerate", "/Videos/Sub"]);
+        assert.deepEqual(uploadedPaths(folder), ["/Videos/Sub/c.mp4"]);
+
+        const glob = await runWorker(ws, ["--regenerate", "/Videos/**/*.mp4"]);
+        assert.deepEqual(uploadedPaths(glob), ["/Videos/Sub/c.mp4", "/Videos/a.mp4"]);
+    });
+
+    it("--delete-thumbs takes a file, a folder or a glob", async () => {
+        ws = await createWorkspace(FILES, { capabilities: { batch_exists: true, batch_delete: true } });
+        await runWorker(ws);
+        assert.equal(ws.mock.thumbnails.size, 4);
+
+        const file = await runWorker(ws, ["--delete-thumbs", "/Videos/a.mp4"]);
+        assert.equal(file.code, 0);
+        assert.ok(!file.logs.some(l => l.level === "error"));
+        assert.deepEqual([...ws.mock.thumbnails.keys()].sort(), ["/Other/d.mp4", "/Videos/Sub/c.mp4", "/Videos/b.mkv"]);
+
+        await runWorker(ws, ["--delete-thumbs", "/Videos/Sub"]);
+        assert.deepEqual([...ws.mock.thumbnails.keys()].sort(), ["/Other/d.mp4", "/Videos/b.mkv"]);
+
+        await runWorker(ws, ["--delete-thumbs", "*.mkv"]);
+        assert.deepEqual([...ws.mock.thumbnails.keys()], ["/Other/d.mp4"]);
+
+        // Deleted thumbnails are forgotten locally: the next scan creates them again
+        const rescan = await runWorker(ws);
+        assert.equal(rescan.stats.uploaded, 3);
+    });
+});